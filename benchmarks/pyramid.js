@@ -0,0 +1,191 @@
+/**
+ * Compare the two pyramid strategies on one image:
+ *   source   - every tile is read from the source image ('nearest' resize)
+ *   children - coarser tiles are area-averaged from the cached finer level
+ *
+ * For each strategy it measures, on a cold cache:
+ *   - first view: rendering every tile of the levels a viewer loads on open
+ *   - full build: rendering the whole pyramid, finest level first
+ *   - quality: PSNR of each assembled level against a Lanczos downscale of
+ *     the full-resolution image (levels of 64–2048 px on the long side)
+ *
+ * Usage:
+ *   node benchmarks/pyramid.js <image.tif> [--tile-size 256] [--overlap 0]
+ *     [--format jpeg] [--viewport 1024]
+ *
+ * The image is linked into a temporary uploads directory that is removed
+ * afterwards. Building the full pyramid of a gigapixel slide takes a while.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const TileGenerator = require('../src/tileGenerator');
+
+const BENCHMARK_ID = 'benchmark';
+const STRATEGIES = ['source', 'children'];
+
+// Levels compared for quality, by long side in pixels
+const MIN_QUALITY_SIZE = 64;
+const MAX_QUALITY_SIZE = 2048;
+
+function parseArgs(argv) {
+  const options = { tileSize: 256, overlap: 0, format: 'jpeg', viewport: 1024, imagePath: null };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--tile-size': options.tileSize = parseInt(argv[++i], 10); break;
+      case '--overlap': options.overlap = parseInt(argv[++i], 10); break;
+      case '--format': options.format = argv[++i]; break;
+      case '--viewport': options.viewport = parseInt(argv[++i], 10); break;
+      default: options.imagePath = path.resolve(argv[i]);
+    }
+  }
+  return options;
+}
+
+/**
+ * Render every tile of the given levels, in order
+ * @returns {Promise<number>} Elapsed milliseconds
+ */
+async function renderLevels(tileGenerator, levels, grids) {
+  const start = process.hrtime.bigint();
+  for (const level of levels) {
+    const { columns, rows } = grids[level];
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < columns; x++) {
+        await tileGenerator.generateTileOnDemand(BENCHMARK_ID, level, x, y);
+      }
+    }
+  }
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+/**
+ * Stitch the inner (non-overlap) part of every cached tile of a level
+ * @returns {Promise<Buffer>} Raw RGB pixels of the level
+ */
+async function assembleLevel(tileGenerator, level, grid, layout, encoding) {
+  const dir = path.join(tileGenerator.tilesDir, BENCHMARK_ID, 's0', `${encoding.key}${layout.key}`, String(level));
+  const { tileSize, overlap } = layout;
+  const composites = [];
+
+  for (let y = 0; y < grid.rows; y++) {
+    for (let x = 0; x < grid.columns; x++) {
+      const input = await sharp(path.join(dir, `${x}_${y}.${encoding.extension}`))
+        .extract({
+          left: x > 0 ? overlap : 0,
+          top: y > 0 ? overlap : 0,
+          width: Math.min(tileSize, grid.width - x * tileSize),
+          height: Math.min(tileSize, grid.height - y * tileSize)
+        })
+        .png() // Lossless, so stitching adds no error of its own
+        .toBuffer();
+      composites.push({ input, left: x * tileSize, top: y * tileSize });
+    }
+  }
+
+  return sharp({
+    create: { width: grid.width, height: grid.height, channels: 3, background: '#000' }
+  })
+    .composite(composites)
+    .removeAlpha()
+    .raw()
+    .toBuffer();
+}
+
+function psnr(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    sum += diff * diff;
+  }
+  const mse = sum / a.length;
+  return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.imagePath) {
+    console.error('Usage: node benchmarks/pyramid.js <image.tif> [--tile-size 256] [--overlap 0] [--format jpeg] [--viewport 1024]');
+    process.exit(1);
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pyramid-benchmark-'));
+  const results = {};
+
+  try {
+    const originalDir = path.join(workDir, 'original');
+    await fs.mkdir(originalDir, { recursive: true });
+    await fs.symlink(options.imagePath, path.join(originalDir, `${BENCHMARK_ID}${path.extname(options.imagePath)}`));
+
+    for (const strategy of STRATEGIES) {
+      const tileGenerator = new TileGenerator(workDir, { pyramidStrategy: strategy });
+      await tileGenerator.init();
+      await tileGenerator.updateImageSettings(BENCHMARK_ID, {
+        tileFormat: options.format,
+        tileSize: options.tileSize,
+        tileOverlap: options.overlap
+      });
+      await tileGenerator.purgeTiles(BENCHMARK_ID);
+
+      const metadata = await tileGenerator.getMetadataById(BENCHMARK_ID);
+      const { width, height } = tileGenerator.getSeries(metadata, 0);
+      const layout = await tileGenerator.getTileLayout(BENCHMARK_ID);
+      const encoding = await tileGenerator.getTileEncoding(BENCHMARK_ID);
+      const levelCount = tileGenerator.calculateLevels(width, height);
+      const grids = [];
+      for (let level = 0; level < levelCount; level++) {
+        grids.push(tileGenerator.getLevelGrid(width, height, level, layout.tileSize));
+      }
+      const allLevels = grids.map((grid, level) => level);
+
+      // Levels up to the first one that fills the viewport, coarsest first
+      const firstViewLevel = allLevels.find(level =>
+        Math.max(grids[level].width, grids[level].height) >= options.viewport) ?? levelCount - 1;
+      const firstView = await renderLevels(tileGenerator, allLevels.slice(0, firstViewLevel + 1), grids);
+
+      await tileGenerator.purgeTiles(BENCHMARK_ID);
+      const build = await renderLevels(tileGenerator, [...allLevels].reverse(), grids);
+
+      const quality = {};
+      for (const level of allLevels) {
+        const grid = grids[level];
+        const longSide = Math.max(grid.width, grid.height);
+        if (level === levelCount - 1 || longSide < MIN_QUALITY_SIZE || longSide > MAX_QUALITY_SIZE) continue;
+
+        const reference = await sharp(options.imagePath, { page: 0, limitInputPixels: false })
+          .resize(grid.width, grid.height, { fit: 'fill', kernel: 'lanczos3' })
+          .removeAlpha()
+          .toColourspace('srgb')
+          .raw()
+          .toBuffer();
+        quality[level] = psnr(await assembleLevel(tileGenerator, level, grid, layout, encoding), reference);
+      }
+
+      results[strategy] = { firstView, build, quality };
+      console.log(`${strategy}: done`);
+    }
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+
+  console.log(`\nTile size ${options.tileSize}, overlap ${options.overlap}, format ${options.format}`);
+  console.log('strategy   first view (ms)   full build (ms)');
+  for (const strategy of STRATEGIES) {
+    const { firstView, build } = results[strategy];
+    console.log(`${strategy.padEnd(10)} ${firstView.toFixed(0).padStart(15)}   ${build.toFixed(0).padStart(15)}`);
+  }
+
+  console.log('\nPSNR against Lanczos (dB, higher is better)');
+  console.log(`level ${STRATEGIES.map(strategy => strategy.padStart(10)).join(' ')}`);
+  for (const level of Object.keys(results.source.quality)) {
+    const values = STRATEGIES.map(strategy => results[strategy].quality[level].toFixed(2).padStart(10));
+    console.log(`${String(level).padEnd(5)} ${values.join(' ')}`);
+  }
+}
+
+run().catch((error) => {
+  console.error('Benchmark failed:', error);
+  process.exit(1);
+});
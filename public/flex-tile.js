@@ -1,5 +1,30 @@
 let viewerInstance = null;
 let currentImageId = null;
+let currentSeriesIndex = 0;
+let regionSelection = null;
+let channelSettings = null;
+let colorMode = 'srgb';
+let currentPlanes = null;
+let currentPlane = null;
+let currentUser = null;
+let ingestionRefreshTimer = null;
+const progressStreams = new Map();
+
+// Largest region export per output side (matches the server limit)
+const MAX_EXPORT_SIZE = 8192;
+
+// Pseudocolor LUTs the server accepts for channel images
+const CHANNEL_COLORS = ['gray', 'red', 'green', 'blue', 'cyan', 'magenta', 'yellow'];
+
+// Visible tiles fetched ahead for each neighbouring Z-plane and time point
+const MAX_PREFETCH_TILES = 48;
+
+// Output color modes for images with an embedded ICC profile
+const COLOR_MODES = [
+  { value: 'srgb', label: 'sRGB' },
+  { value: 'p3', label: 'Display P3' },
+  { value: 'raw', label: 'Raw device color' }
+];
 
 /**
  * Show status message
@@ -15,13 +40,175 @@ function showStatus(message, type = 'info') {
   }, 4000);
 }
 
+// Size of each chunk sent by the resumable upload protocol
+const UPLOAD_CHUNK_SIZE = 16 * 1024 * 1024;
+const UPLOAD_CHUNK_RETRIES = 3;
+
+// The file list is refreshed this often while slides are being ingested from the server's disk
+const INGESTION_REFRESH_MS = 5000;
+
+const INGESTION_STATUS_LABELS = {
+  queued: 'waiting to ingest',
+  running: 'ingesting',
+  failed: 'ingestion failed'
+};
+
+// Upload error codes for files the server will never accept, with what to do about them
+const REJECTED_UPLOAD_HINTS = {
+  UNSUPPORTED_EXTENSION: 'Choose a .tif, .tiff or .scn file.',
+  UNSUPPORTED_FORMAT: 'Only TIFF, BigTIFF and Leica SCN slides can be uploaded.',
+  FILE_TOO_LARGE: 'Split the slide or ask an admin to raise the limit.',
+  INVALID_TIFF: 'The file is damaged; export it again from the scanner software.',
+  TRUNCATED_FILE: 'The file is incomplete; copy it again from its source.',
+  UNREADABLE_IMAGE: 'The slide uses a layout or compression the server cannot decode.',
+  INVALID_SETTINGS: 'Check the tile format, quality, size and overlap.'
+};
+
 /**
- * Upload file to server
+ * SHA-256 of a chunk as a hex string.
+ * crypto.subtle only exists in secure contexts (https/localhost), so plain
+ * http deployments fall back to a small JavaScript implementation.
  */
-async function uploadFile(file) {
-  const formData = new FormData();
-  formData.append('image', file);
+async function sha256Hex(buffer) {
+  if (window.crypto && window.crypto.subtle) {
+    const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+  return sha256HexFallback(new Uint8Array(buffer));
+}
+
+function sha256HexFallback(bytes) {
+  const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ];
+  const H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  
+  // Pad: 0x80, zeros, then the 64-bit big-endian bit length
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);
   
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+    }
+    let [a, b, c, d, e, f, g, h] = H;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+      h = g; g = f; f = e; e = (d + t1) >>> 0;
+      d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => { H[i] = (H[i] + value) >>> 0; });
+  }
+  return H.map(value => value.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Turn an upload error response ({ error, code, details }) into an Error
+ */
+function uploadResponseError(body, fallback) {
+  const error = new Error((body && body.error) || fallback);
+  error.code = body && body.code;
+  error.details = body && body.details;
+  return error;
+}
+
+/**
+ * Key under which an in-progress upload ID is remembered across page reloads
+ */
+function uploadStorageKey(file) {
+  return `wsi-upload:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+/**
+ * Resume the remembered upload for a file, or start a new one
+ */
+async function startOrResumeUpload(file) {
+  const storageKey = uploadStorageKey(file);
+  const savedUploadId = localStorage.getItem(storageKey);
+  
+  if (savedUploadId) {
+    const response = await fetch(`/api/uploads/${savedUploadId}`);
+    if (response.ok) {
+      return response.json();
+    }
+    localStorage.removeItem(storageKey);
+  }
+  
+  const response = await fetch('/api/uploads', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      fileName: file.name,
+      fileSize: file.size,
+      chunkSize: UPLOAD_CHUNK_SIZE,
+      pregenerate: document.getElementById('pregenerate-input').checked,
+      tileFormat: document.getElementById('tile-format-input').value,
+      tileQuality: document.getElementById('tile-quality-input').value,
+      tileSize: document.getElementById('tile-size-input').value,
+      tileOverlap: document.getElementById('tile-overlap-input').value
+    })
+  });
+  const upload = await response.json();
+  if (!response.ok) {
+    throw uploadResponseError(upload, 'Could not start upload');
+  }
+  
+  localStorage.setItem(storageKey, upload.uploadId);
+  return upload;
+}
+
+/**
+ * Send one chunk with its checksum, retrying transient failures
+ */
+async function uploadChunk(upload, file, index) {
+  const start = index * upload.chunkSize;
+  const buffer = await file.slice(start, Math.min(start + upload.chunkSize, file.size)).arrayBuffer();
+  const checksum = await sha256Hex(buffer);
+  
+  let lastError = null;
+  for (let attempt = 0; attempt < UPLOAD_CHUNK_RETRIES; attempt++) {
+    try {
+      const response = await fetch(`/api/uploads/${upload.uploadId}/chunks/${index}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Chunk-Checksum': checksum
+        },
+        body: buffer
+      });
+      if (response.ok) {
+        return;
+      }
+      lastError = uploadResponseError(await response.json(), `Chunk ${index} failed`);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Upload file to server using the resumable chunked protocol
+ */
+async function uploadFile(file) {
   const progressBar = document.getElementById('progress-bar');
   const progressText = document.getElementById('progress-text');
   const uploadProgress = document.getElementById('upload-progress');
@@ -31,46 +218,210 @@ async function uploadFile(file) {
   progressText.textContent = 'Uploading...';
   
   try {
-    const xhr = new XMLHttpRequest();
+    const upload = await startOrResumeUpload(file);
+    const received = new Set(upload.receivedChunks);
+    if (received.size > 0) {
+      showStatus(`Resuming upload (${received.size}/${upload.totalChunks} chunks already on server)`, 'info');
+    }
     
     // Track upload progress
-    xhr.upload.addEventListener('progress', (e) => {
-      if (e.lengthComputable) {
-        const percentComplete = (e.loaded / e.total) * 100;
-        progressBar.style.width = percentComplete + '%';
-        progressText.textContent = `Uploading... ${Math.round(percentComplete)}%`;
-      }
-    });
+    const updateProgress = () => {
+      const percentComplete = (received.size / upload.totalChunks) * 100;
+      progressBar.style.width = percentComplete + '%';
+      progressText.textContent = `Uploading... ${Math.round(percentComplete)}%`;
+    };
+    updateProgress();
     
-    // Handle completion
-    xhr.addEventListener('load', () => {
-      if (xhr.status === 200) {
-        const response = JSON.parse(xhr.responseText);
-        progressText.textContent = '✅ Upload complete!';
-        progressBar.style.width = '100%';
-        
-        setTimeout(() => {
-          uploadProgress.style.display = 'none';
-          showStatus(`File uploaded successfully! (${response.info.width} × ${response.info.height})`, 'success');
-          loadFileList();
-        }, 1000);
-      } else {
-        throw new Error('Upload failed');
-      }
-    });
+    for (let index = 0; index < upload.totalChunks; index++) {
+      if (received.has(index)) continue;
+      await uploadChunk(upload, file, index);
+      received.add(index);
+      updateProgress();
+    }
     
-    xhr.addEventListener('error', () => {
-      uploadProgress.style.display = 'none';
-      showStatus('Upload failed. Please try again.', 'error');
-    });
+    progressText.textContent = 'Processing...';
+    const response = await fetch(`/api/uploads/${upload.uploadId}/finalize`, { method: 'POST' });
+    const result = await response.json();
+    if (!response.ok) {
+      throw uploadResponseError(result, 'Upload failed');
+    }
     
-    xhr.open('POST', '/api/upload');
-    xhr.send(formData);
+    localStorage.removeItem(uploadStorageKey(file));
+    progressText.textContent = '✅ Upload complete!';
+    progressBar.style.width = '100%';
+    
+    setTimeout(() => {
+      uploadProgress.style.display = 'none';
+      showStatus(`File uploaded successfully! (${result.info.width} × ${result.info.height})`, 'success');
+      loadFileList();
+    }, 1000);
     
   } catch (error) {
     console.error('Upload error:', error);
     uploadProgress.style.display = 'none';
-    showStatus('Upload failed: ' + error.message, 'error');
+    // The server rejected the file itself: resuming would send the same bytes again
+    if (REJECTED_UPLOAD_HINTS[error.code]) {
+      localStorage.removeItem(uploadStorageKey(file));
+      showStatus(`Upload rejected: ${error.message}. ${REJECTED_UPLOAD_HINTS[error.code]}`, 'error');
+      return;
+    }
+    showStatus('Upload failed: ' + error.message + ' — drop the same file again to resume', 'error');
+  }
+}
+
+/**
+ * Render the pre-generation badge text for a job
+ */
+function updateTilingBadge(badge, job) {
+  if (job.status === 'queued' || job.status === 'running') {
+    badge.textContent = job.status === 'queued' ? 'tiling queued' : `tiling ${job.percent}%`;
+    badge.style.display = 'inline-block';
+  } else if (job.status === 'failed') {
+    badge.textContent = 'tiling failed';
+    badge.style.display = 'inline-block';
+  } else {
+    badge.style.display = 'none';
+  }
+}
+
+/**
+ * Follow pre-generation progress of an image over Server-Sent Events
+ */
+function watchTilingProgress(imageId, badge) {
+  const source = new EventSource(`/api/images/${imageId}/pregenerate/events`);
+  progressStreams.set(imageId, source);
+  
+  source.onmessage = (e) => {
+    const job = JSON.parse(e.data);
+    updateTilingBadge(badge, job);
+    if (job.status !== 'queued' && job.status !== 'running') {
+      source.close();
+      progressStreams.delete(imageId);
+    }
+  };
+}
+
+/**
+ * Display name of an image (falls back to its dimensions)
+ */
+function imageTitle(image) {
+  return image.name || image.originalName || `${image.width} × ${image.height}`;
+}
+
+/**
+ * Where an ingested slide came from
+ */
+function ingestionSourceLabel(ingestion) {
+  return ingestion.source === 'watch' ? 'Watch folder' : 'Imported';
+}
+
+/**
+ * Human-readable file size
+ */
+function formatFileSize(bytes) {
+  if (!bytes) return '';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+}
+
+/**
+ * Small icon button for the file list; does not trigger the item click
+ */
+function createActionButton(icon, title, onClick) {
+  const button = document.createElement('button');
+  button.className = 'file-action';
+  button.textContent = icon;
+  button.title = title;
+  button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Ask for a new display name and save it
+ */
+async function renameImage(image) {
+  const name = prompt('Display name', image.name || '');
+  if (name === null) return;
+  
+  try {
+    const response = await fetch(`/api/images/${image.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    if (!response.ok) {
+      throw new Error((await response.json()).error);
+    }
+    showStatus('Image renamed', 'success');
+    loadFileList();
+  } catch (error) {
+    showStatus('Rename failed: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Ask for the accounts to share an image with and save them
+ */
+async function shareImage(image) {
+  const value = prompt('Share with (usernames, comma-separated)', (image.grants || []).join(', '));
+  if (value === null) return;
+  
+  try {
+    const grants = value.split(',').map(name => name.trim()).filter(Boolean);
+    const response = await fetch(`/api/images/${image.id}/access`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ grants })
+    });
+    if (!response.ok) {
+      throw new Error((await response.json()).error);
+    }
+    showStatus(grants.length ? `Shared with ${grants.join(', ')}` : 'Image is no longer shared', 'success');
+    loadFileList();
+  } catch (error) {
+    showStatus('Sharing failed: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Delete an image and its cached tiles after confirmation
+ */
+async function deleteImage(image) {
+  if (!confirm(`Delete "${imageTitle(image)}" and all of its tiles?`)) return;
+  
+  try {
+    const response = await fetch(`/api/images/${image.id}`, { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error((await response.json()).error);
+    }
+    
+    if (image.id === currentImageId) {
+      if (viewerInstance && typeof viewerInstance.destroy === 'function') {
+        viewerInstance.destroy();
+      }
+      viewerInstance = null;
+      currentImageId = null;
+      document.getElementById('viewer').innerHTML =
+        '<div class="viewer-placeholder">Select a file from the left panel to view</div>';
+      document.getElementById('viewer-title').textContent = 'Select a file to view';
+      document.getElementById('viewer-info').textContent = '';
+      document.getElementById('viewer-metadata').textContent = '';
+      document.getElementById('export-tools').style.display = 'none';
+      document.getElementById('series-select').style.display = 'none';
+      document.getElementById('color-select').style.display = 'none';
+      document.getElementById('plane-controls').style.display = 'none';
+      currentPlanes = null;
+      currentPlane = null;
+    }
+    
+    showStatus('Image deleted', 'success');
+    loadFileList();
+  } catch (error) {
+    showStatus('Delete failed: ' + error.message, 'error');
   }
 }
 
@@ -79,33 +430,98 @@ async function uploadFile(file) {
  */
 async function loadFileList() {
   try {
-    const response = await fetch('/api/images');
+    const search = document.getElementById('file-search').value.trim();
+    const [sort, order] = document.getElementById('file-sort').value.split(':');
+    const params = new URLSearchParams({ sort, order });
+    if (search) {
+      params.set('search', search);
+    }
+    
+    const response = await fetch(`/api/images?${params}`);
+    if (response.status === 401) {
+      showLogin(false);
+      return;
+    }
     const images = await response.json();
     
+    // Check back until queued and running ingestions have become images
+    clearTimeout(ingestionRefreshTimer);
+    if (images.some(image => image.ingestion && ['queued', 'running'].includes(image.ingestion.status))) {
+      ingestionRefreshTimer = setTimeout(loadFileList, INGESTION_REFRESH_MS);
+    }
+    
     const container = document.getElementById('file-list-container');
     
     if (images.length === 0) {
-      container.innerHTML = '<div class="empty-state">No files uploaded yet</div>';
+      container.innerHTML = search
+        ? '<div class="empty-state">No files match your search</div>'
+        : '<div class="empty-state">No files uploaded yet</div>';
       return;
     }
     
     container.innerHTML = '';
+    progressStreams.forEach(source => source.close());
+    progressStreams.clear();
     
     images.forEach((image) => {
+      if (image.ingestion && image.ingestion.status !== 'completed') {
+        container.appendChild(createIngestionItem(image));
+        return;
+      }
+      
       const item = document.createElement('div');
       item.className = 'file-item';
+      item.dataset.imageId = image.id;
       if (image.id === currentImageId) {
         item.classList.add('active');
       }
       
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'file-thumbnail';
+      thumbnail.loading = 'lazy';
+      thumbnail.alt = '';
+      thumbnail.src = `/api/images/${image.id}/thumbnail?size=96`;
+      thumbnail.addEventListener('error', () => {
+        thumbnail.style.visibility = 'hidden';
+      });
+      
       const fileName = document.createElement('div');
       fileName.className = 'file-name';
-      fileName.textContent = `${image.width} × ${image.height}`;
+      fileName.textContent = imageTitle(image);
       
       const fileInfo = document.createElement('div');
       fileInfo.className = 'file-info';
-      fileInfo.textContent = `${image.originalFormat.toUpperCase()} • ${new Date(image.uploadedAt).toLocaleDateString()}`;
+      const seriesCount = (image.series || []).length;
+      fileInfo.textContent = `${image.originalFormat.toUpperCase()} • ${new Date(image.uploadedAt).toLocaleDateString()}` +
+        (imageTitle(image) !== `${image.width} × ${image.height}` ? ` • ${image.width} × ${image.height}` : '') +
+        (image.fileSize ? ` • ${formatFileSize(image.fileSize)}` : '') +
+        (image.vendor ? ` • ${image.vendor}` : '') +
+        (seriesCount > 1 ? ` • ${seriesCount} series` : '') +
+        ((image.tags || []).length ? ` • ${image.tags.join(', ')}` : '') +
+        (image.ingestion ? ` • ${ingestionSourceLabel(image.ingestion)}` : '') +
+        (image.owner !== currentUser.username ? ` • Owner: ${image.owner || 'none'}` : '');
+      
+      // Accounts an image is shared with can only view it
+      const actions = document.createElement('div');
+      actions.className = 'file-actions';
+      if (image.owner === currentUser.username || currentUser.role === 'admin') {
+        actions.appendChild(createActionButton('👥', 'Share with other users', () => shareImage(image)));
+        actions.appendChild(createActionButton('✏️', 'Rename', () => renameImage(image)));
+        actions.appendChild(createActionButton('🗑️', 'Delete', () => deleteImage(image)));
+      }
+      
+      const tilingBadge = document.createElement('span');
+      tilingBadge.className = 'tiling-badge';
+      fileName.appendChild(tilingBadge);
+      if (image.pregeneration) {
+        updateTilingBadge(tilingBadge, image.pregeneration);
+        if (image.pregeneration.status === 'queued' || image.pregeneration.status === 'running') {
+          watchTilingProgress(image.id, tilingBadge);
+        }
+      }
       
+      item.appendChild(actions);
+      item.appendChild(thumbnail);
       item.appendChild(fileName);
       item.appendChild(fileInfo);
       
@@ -122,22 +538,588 @@ async function loadFileList() {
   }
 }
 
+/**
+ * File list entry for a slide on the server's disk that is not an image yet:
+ * waiting, being ingested, or rejected (with the reason)
+ */
+function createIngestionItem(entry) {
+  const { ingestion } = entry;
+  const item = document.createElement('div');
+  item.className = 'file-item ingesting';
+  item.title = ingestion.path;
+  
+  const fileName = document.createElement('div');
+  fileName.className = 'file-name';
+  fileName.textContent = entry.originalName;
+  
+  const badge = document.createElement('span');
+  badge.className = ingestion.status === 'failed' ? 'tiling-badge failed' : 'tiling-badge';
+  badge.textContent = INGESTION_STATUS_LABELS[ingestion.status];
+  badge.style.display = 'inline-block';
+  fileName.appendChild(badge);
+  
+  const fileInfo = document.createElement('div');
+  fileInfo.className = 'file-info';
+  fileInfo.textContent = `${ingestionSourceLabel(ingestion)} • ${new Date(entry.uploadedAt).toLocaleDateString()}` +
+    (entry.fileSize ? ` • ${formatFileSize(entry.fileSize)}` : '') +
+    (ingestion.error ? ` • ${ingestion.error.message}` : '');
+  
+  // Admins dismiss rejected files; a watched file is retried once it changes
+  if (ingestion.status === 'failed' && currentUser.role === 'admin') {
+    const actions = document.createElement('div');
+    actions.className = 'file-actions';
+    actions.appendChild(createActionButton('✖️', 'Dismiss', () => dismissIngestion(entry)));
+    item.appendChild(actions);
+  }
+  
+  item.appendChild(fileName);
+  item.appendChild(fileInfo);
+  return item;
+}
+
+/**
+ * Remove a rejected file from the list
+ */
+async function dismissIngestion(entry) {
+  try {
+    const response = await fetch(`/api/ingest/${entry.id}`, { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error((await response.json()).error);
+    }
+    loadFileList();
+  } catch (error) {
+    showStatus(`Dismiss failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Populate the page/series switcher for multi-series TIFF/SCN files
+ */
+function renderSeriesSelect(image, seriesIndex) {
+  const select = document.getElementById('series-select');
+  const seriesList = image.series || [];
+  
+  select.innerHTML = '';
+  select.style.display = seriesList.length > 1 ? 'inline-block' : 'none';
+  
+  seriesList.forEach((series) => {
+    const option = document.createElement('option');
+    option.value = series.index;
+    option.textContent = `${series.name} (${series.width} × ${series.height})`;
+    option.selected = series.index === seriesIndex;
+    select.appendChild(option);
+  });
+  
+  select.onchange = () => {
+    loadImage(image, parseInt(select.value, 10));
+  };
+}
+
+// Tile URL query string; the tiles version lets the browser cache tiles indefinitely
+function tileQueryParams(image, seriesIndex, plane = currentPlane) {
+  const params = new URLSearchParams();
+  if (seriesIndex > 0) {
+    params.set('series', seriesIndex);
+  }
+  if (image.tilesVersion) {
+    params.set('v', image.tilesVersion);
+  }
+  if (plane) {
+    params.set('c', plane.c);
+    params.set('z', plane.z);
+    params.set('t', plane.t);
+  }
+  const channels = channelQueryValue();
+  if (channels) {
+    params.set('channels', channels);
+  }
+  if (colorMode !== 'srgb') {
+    params.set('color', colorMode);
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Re-request the visible tiles with the current query parameters, keeping the viewport
+ */
+function reloadTiles(image, seriesIndex) {
+  const tiledImage = viewerInstance && viewerInstance.world.getItemAt(0);
+  if (!tiledImage) return;
+  tiledImage.source.queryParams = tileQueryParams(image, seriesIndex);
+  tiledImage.reset();
+  viewerInstance.forceRedraw();
+}
+
+/**
+ * Fetch the visible tiles of the neighbouring Z-planes and time points into
+ * the browser cache, so scrubbing through a stack shows them at once
+ */
+function prefetchAdjacentPlanes(image, seriesIndex) {
+  const tiledImage = viewerInstance && viewerInstance.world.getItemAt(0);
+  if (!tiledImage || !currentPlane) return;
+  
+  const neighbours = [];
+  ['z', 't'].forEach((axis) => {
+    [-1, 1].forEach((step) => {
+      const value = currentPlane[axis] + step;
+      if (value >= 0 && value < currentPlanes.sizes[axis]) {
+        neighbours.push({ ...currentPlane, [axis]: value });
+      }
+    });
+  });
+  
+  const source = tiledImage.source;
+  const tiles = tiledImage.lastDrawn.slice(0, MAX_PREFETCH_TILES);
+  neighbours.forEach((plane) => {
+    const query = tileQueryParams(image, seriesIndex, plane);
+    tiles.forEach((tile) => {
+      new Image().src = `${source.tilesUrl}${tile.level}/${tile.x}_${tile.y}.${source.fileFormat}${query}`;
+    });
+  });
+}
+
+/**
+ * Show the channel selector and Z-plane / time point sliders of OME-TIFF series
+ */
+function renderPlaneControls(image, seriesIndex, planes) {
+  const controls = document.getElementById('plane-controls');
+  controls.innerHTML = '';
+  currentPlanes = planes;
+  currentPlane = planes ? { c: 0, z: 0, t: 0 } : null;
+  controls.style.display = planes ? 'flex' : 'none';
+  if (!planes) return;
+  
+  // Re-request the visible tiles once the sliders settle
+  let updateTimer = null;
+  const update = () => {
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(() => reloadTiles(image, seriesIndex), 150);
+  };
+  
+  if (planes.sizes.c > 1) {
+    const select = document.createElement('select');
+    select.title = 'Channel';
+    planes.channels.forEach((channel, c) => {
+      const option = document.createElement('option');
+      option.value = c;
+      option.textContent = channel.name;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+      currentPlane.c = parseInt(select.value, 10);
+      // Each channel has its own default color and window
+      renderChannelPanel(image, seriesIndex, planes.channels[currentPlane.c].rendering);
+      reloadTiles(image, seriesIndex);
+    });
+    controls.appendChild(select);
+  }
+  
+  [['z', 'Z'], ['t', 'Time']].forEach(([axis, label]) => {
+    const size = planes.sizes[axis];
+    if (size < 2) return;
+    const wrapper = document.createElement('label');
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = 0;
+    slider.max = size - 1;
+    slider.step = 1;
+    slider.value = 0;
+    const value = document.createElement('span');
+    value.textContent = `1/${size}`;
+    slider.addEventListener('input', () => {
+      currentPlane[axis] = parseInt(slider.value, 10);
+      value.textContent = `${currentPlane[axis] + 1}/${size}`;
+      update();
+    });
+    wrapper.append(label, slider, value);
+    controls.appendChild(wrapper);
+  });
+}
+
+/**
+ * Populate the color mode switcher; raw device color only applies to images with an ICC profile
+ */
+function renderColorSelect(image, seriesIndex, iccProfile) {
+  const select = document.getElementById('color-select');
+  const modes = COLOR_MODES.filter(mode => mode.value !== 'raw' || iccProfile);
+  if (!modes.some(mode => mode.value === colorMode)) {
+    colorMode = 'srgb';
+  }
+  
+  select.innerHTML = '';
+  select.style.display = 'inline-block';
+  select.title = iccProfile
+    ? `Embedded ICC profile: ${iccProfile.description || iccProfile.colorSpace}`
+    : 'No embedded ICC profile (colors are treated as sRGB)';
+  modes.forEach((mode) => {
+    const option = document.createElement('option');
+    option.value = mode.value;
+    option.textContent = mode.label;
+    option.selected = mode.value === colorMode;
+    select.appendChild(option);
+  });
+  
+  select.onchange = () => {
+    colorMode = select.value;
+    reloadTiles(image, seriesIndex);
+  };
+}
+
+/**
+ * Window of a channel after brightness and contrast are applied to its default window
+ */
+function channelWindow(setting) {
+  const [low, high] = setting.defaultWindow;
+  const range = high - low;
+  const center = (low + high) / 2 - setting.brightness * range;
+  const width = range / Math.pow(2, setting.contrast);
+  return [center - width / 2, center + width / 2].map(value => Number(value.toPrecision(6)));
+}
+
+// ?channels= value for the current channel settings ('' = the image's default rendering)
+function channelQueryValue() {
+  if (!channelSettings) return '';
+  
+  const isDefault = channelSettings.every(setting =>
+    setting.visible && setting.color === setting.defaultColor && setting.brightness === 0 && setting.contrast === 0);
+  if (isDefault) return '';
+  
+  return channelSettings
+    .filter(setting => setting.visible)
+    .map(setting => `${setting.index}:${setting.color}:${channelWindow(setting).join('-')}`)
+    .join(',');
+}
+
+/**
+ * Show brightness/contrast controls for high-bit-depth and multi-channel images
+ */
+function renderChannelPanel(image, seriesIndex, channels) {
+  const panel = document.getElementById('channel-panel');
+  panel.innerHTML = '';
+  channelSettings = channels ? channels.map(channel => ({
+    index: channel.index,
+    name: channel.name,
+    visible: true,
+    color: channel.color,
+    defaultColor: channel.color,
+    defaultWindow: channel.window,
+    brightness: 0,
+    contrast: 0
+  })) : null;
+  panel.style.display = channelSettings ? 'block' : 'none';
+  if (!channelSettings) return;
+  
+  // Re-request the visible tiles with the new rendering once the sliders settle
+  let updateTimer = null;
+  const update = () => {
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(() => reloadTiles(image, seriesIndex), 250);
+  };
+  
+  const createSlider = (label, setting, field, min, max) => {
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = min;
+    slider.max = max;
+    slider.step = 0.05;
+    slider.value = setting[field];
+    slider.title = label;
+    slider.addEventListener('input', () => {
+      setting[field] = parseFloat(slider.value);
+      update();
+    });
+    const wrapper = document.createElement('label');
+    wrapper.textContent = label;
+    wrapper.appendChild(slider);
+    return wrapper;
+  };
+  
+  channelSettings.forEach((setting) => {
+    const row = document.createElement('div');
+    row.className = 'channel-row';
+    
+    const visible = document.createElement('input');
+    visible.type = 'checkbox';
+    visible.checked = true;
+    visible.addEventListener('change', () => {
+      // At least one channel has to stay visible
+      if (!visible.checked && channelSettings.filter(other => other.visible).length === 1) {
+        visible.checked = true;
+        return;
+      }
+      setting.visible = visible.checked;
+      update();
+    });
+    
+    const name = document.createElement('span');
+    name.className = 'channel-name';
+    name.textContent = setting.name;
+    
+    const color = document.createElement('select');
+    color.title = 'Color';
+    CHANNEL_COLORS.forEach((option) => {
+      const element = document.createElement('option');
+      element.value = option;
+      element.textContent = option;
+      element.selected = option === setting.color;
+      color.appendChild(element);
+    });
+    color.addEventListener('change', () => {
+      setting.color = color.value;
+      update();
+    });
+    
+    row.append(
+      visible,
+      name,
+      color,
+      createSlider('Brightness', setting, 'brightness', -1, 1),
+      createSlider('Contrast', setting, 'contrast', -2, 2)
+    );
+    panel.appendChild(row);
+  });
+}
+
+/**
+ * Let the user drag a rectangle on the viewer, then download that region
+ * (or pass its image-coordinate corners to onSelect)
+ */
+function startRegionExport(onSelect = downloadRegion, message = 'Drag a rectangle on the image to export it (Esc to cancel)') {
+  if (!viewerInstance || regionSelection) return;
+  
+  const viewer = viewerInstance;
+  const overlay = document.createElement('div');
+  overlay.className = 'region-selection';
+  let start = null;
+  
+  const drawRectangle = (end) => {
+    overlay.style.left = `${Math.min(start.x, end.x)}px`;
+    overlay.style.top = `${Math.min(start.y, end.y)}px`;
+    overlay.style.width = `${Math.abs(end.x - start.x)}px`;
+    overlay.style.height = `${Math.abs(end.y - start.y)}px`;
+  };
+  
+  const tracker = new OpenSeadragon.MouseTracker({
+    element: viewer.canvas,
+    pressHandler: (event) => {
+      start = event.position;
+      drawRectangle(start);
+      viewer.canvas.appendChild(overlay);
+    },
+    dragHandler: (event) => {
+      if (start) drawRectangle(event.position);
+    },
+    releaseHandler: (event) => {
+      if (!start) return;
+      const end = event.position;
+      cancelRegionExport();
+      onSelect(
+        viewer.viewport.viewerElementToImageCoordinates(new OpenSeadragon.Point(Math.min(start.x, end.x), Math.min(start.y, end.y))),
+        viewer.viewport.viewerElementToImageCoordinates(new OpenSeadragon.Point(Math.max(start.x, end.x), Math.max(start.y, end.y)))
+      );
+    }
+  });
+  
+  const onKeyDown = (event) => {
+    if (event.key === 'Escape') cancelRegionExport();
+  };
+  document.addEventListener('keydown', onKeyDown);
+  
+  viewer.setMouseNavEnabled(false);
+  viewer.canvas.style.cursor = 'crosshair';
+  regionSelection = { viewer, tracker, overlay, onKeyDown };
+  showStatus(message, 'info');
+}
+
+function cancelRegionExport() {
+  if (!regionSelection) return;
+  
+  const { viewer, tracker, overlay, onKeyDown } = regionSelection;
+  regionSelection = null;
+  tracker.destroy();
+  overlay.remove();
+  document.removeEventListener('keydown', onKeyDown);
+  viewer.setMouseNavEnabled(true);
+  viewer.canvas.style.cursor = '';
+}
+
+/**
+ * Download the region between two image-coordinate corners
+ */
+function downloadRegion(topLeft, bottomRight) {
+  const x = Math.max(0, Math.floor(topLeft.x));
+  const y = Math.max(0, Math.floor(topLeft.y));
+  const w = Math.floor(bottomRight.x) - x;
+  const h = Math.floor(bottomRight.y) - y;
+  if (w < 1 || h < 1) {
+    showStatus('Selection is empty', 'error');
+    return;
+  }
+  
+  // Export at full resolution unless the output would exceed the size limit
+  const scale = Math.max(1, Math.ceil(Math.max(w, h) / MAX_EXPORT_SIZE * 100) / 100);
+  const params = new URLSearchParams({
+    x, y, w, h,
+    scale,
+    format: document.getElementById('export-format').value
+  });
+  if (currentSeriesIndex > 0) {
+    params.set('series', currentSeriesIndex);
+  }
+  const channels = channelQueryValue();
+  if (channels) {
+    params.set('channels', channels);
+  }
+  if (colorMode !== 'srgb') {
+    params.set('color', colorMode);
+  }
+  if (currentPlane) {
+    params.set('c', currentPlane.c);
+    params.set('z', currentPlane.z);
+    params.set('t', currentPlane.t);
+  }
+  
+  const link = document.createElement('a');
+  link.href = `/api/images/${currentImageId}/region?${params}`;
+  link.download = '';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  showStatus(`Exporting ${w} × ${h} region${scale > 1 ? ` at 1/${scale}` : ''}...`, 'info');
+}
+
+/**
+ * Deep Zoom level that shows the current view at full sharpness
+ */
+function currentViewLevel() {
+  const tiledImage = viewerInstance && viewerInstance.world.getItemAt(0);
+  if (!tiledImage) return null;
+  const maxLevel = tiledImage.source.maxLevel;
+  const imageZoom = tiledImage.viewportToImageZoom(viewerInstance.viewport.getZoom(true)) * (window.devicePixelRatio || 1);
+  return Math.min(maxLevel, Math.max(0, maxLevel + Math.ceil(Math.log2(imageZoom))));
+}
+
+/**
+ * Mint a read-only share link to the current image and copy it to the clipboard
+ * @param {Object} region - Image-coordinate rectangle to restrict the link to (optional)
+ */
+async function copyShareLink(region = null) {
+  const body = { expiresIn: Number(document.getElementById('share-expiry').value) };
+  if (document.getElementById('share-limit-zoom').checked) {
+    body.maxLevel = currentViewLevel();
+  }
+  if (region) {
+    body.region = region;
+  }
+  
+  let link;
+  try {
+    const response = await fetch(`/api/images/${currentImageId}/share`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    link = await response.json();
+    if (!response.ok) {
+      throw new Error(link.error);
+    }
+  } catch (error) {
+    showStatus('Could not create share link: ' + error.message, 'error');
+    return;
+  }
+  
+  const expires = new Date(link.expiresAt).toLocaleString();
+  try {
+    await navigator.clipboard.writeText(link.url);
+    showStatus(`Share link copied (expires ${expires})`, 'success');
+  } catch (error) {
+    // Clipboard access needs a secure context; let the user copy it instead
+    prompt(`Share link (expires ${expires})`, link.url);
+  }
+}
+
+/**
+ * Share the region between two image-coordinate corners
+ */
+function shareRegion(topLeft, bottomRight) {
+  const x = Math.max(0, Math.floor(topLeft.x));
+  const y = Math.max(0, Math.floor(topLeft.y));
+  const width = Math.floor(bottomRight.x) - x;
+  const height = Math.floor(bottomRight.y) - y;
+  if (width < 1 || height < 1) {
+    showStatus('Selection is empty', 'error');
+    return;
+  }
+  copyShareLink({ x, y, width, height });
+}
+
+/**
+ * Show the scanner metadata (scanner, objective, resolution, scan date) in the viewer header
+ */
+async function renderSlideMetadata(image) {
+  const element = document.getElementById('viewer-metadata');
+  element.textContent = '';
+  element.title = '';
+  
+  let metadata;
+  try {
+    const response = await fetch(`/api/images/${image.id}/metadata`);
+    if (!response.ok) return;
+    metadata = await response.json();
+  } catch (error) {
+    return;
+  }
+  // Another image was selected while loading
+  if (currentImageId !== image.id) return;
+  
+  const scanner = [metadata.vendor, metadata.scannerModel].filter(Boolean).join(' ');
+  const parts = [];
+  if (scanner) parts.push(scanner);
+  if (metadata.objectivePower) parts.push(`${metadata.objectivePower}× objective`);
+  if (metadata.mppX) {
+    const mpp = metadata.mppY && metadata.mppY !== metadata.mppX
+      ? `${metadata.mppX.toFixed(4)} × ${metadata.mppY.toFixed(4)}`
+      : metadata.mppX.toFixed(4);
+    parts.push(`${mpp} µm/px`);
+  }
+  if (metadata.scanDate) parts.push(`Scanned ${metadata.scanDate.replace('T', ' ')}`);
+  element.textContent = parts.join(' • ');
+  
+  // Raw vendor properties on hover
+  element.title = Object.entries(metadata.properties || {})
+    .filter(([, value]) => value !== null && value !== '')
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+}
+
 /**
  * Load and display an image using FlexTileSource
  */
-function loadImage(image) {
+async function loadImage(image, seriesIndex = 0) {
+  cancelRegionExport();
   currentImageId = image.id;
+  const series = (image.series && image.series[seriesIndex]) ||
+    { index: 0, width: image.width, height: image.height };
   
   // Update active state in file list
   document.querySelectorAll('.file-item').forEach(item => {
-    item.classList.remove('active');
+    item.classList.toggle('active', item.dataset.imageId === image.id);
   });
-  event.target.closest('.file-item').classList.add('active');
   
   // Update viewer header
-  document.getElementById('viewer-title').textContent = `${image.width} × ${image.height}`;
+  document.getElementById('viewer-title').textContent = image.name || image.originalName
+    ? `${image.name || image.originalName} (${series.width} × ${series.height})`
+    : `${series.width} × ${series.height}`;
   document.getElementById('viewer-info').textContent = 
     `Format: ${image.originalFormat.toUpperCase()} • Uploaded: ${new Date(image.uploadedAt).toLocaleString()}`;
+  renderSeriesSelect(image, series.index);
+  currentSeriesIndex = series.index;
+  renderSlideMetadata(image);
+  document.getElementById('export-tools').style.display = 'flex';
+  // Only owners (and admins) can hand out share links
+  document.getElementById('share-tools').style.display =
+    image.owner === currentUser.username || currentUser.role === 'admin' ? 'flex' : 'none';
   
   // Destroy previous viewer
   if (viewerInstance && typeof viewerInstance.destroy === 'function') {
@@ -152,21 +1134,30 @@ function loadImage(image) {
   
   const startTime = performance.now();
   
-  // Calculate pyramid levels
-  const tileSize = 256;
-  const maxDimension = Math.max(image.width, image.height);
-  const maxLevel = Math.ceil(Math.log2(maxDimension / tileSize));
-  
-  // Build levels array for FlexTileSource
-  const levels = [];
-  for (let level = 0; level <= maxLevel; level++) {
-    const scale = Math.pow(2, maxLevel - level);
-    levels.push({
-      width: Math.ceil(image.width / scale),
-      height: Math.ceil(image.height / scale),
-      tileWidth: tileSize,
-      tileHeight: tileSize
-    });
+  // Levels, tile size and overlap come from the server (Deep Zoom numbering)
+  let pyramid;
+  try {
+    const params = series.index > 0 ? `?series=${series.index}` : '';
+    const response = await fetch(`/api/images/${image.id}/pyramid${params}`);
+    pyramid = await response.json();
+    if (!response.ok) {
+      throw new Error(pyramid.error || 'Could not load image');
+    }
+  } catch (error) {
+    showStatus(`Failed to load image: ${error.message}`, 'error');
+    return;
+  }
+  
+  // Another image was selected while loading
+  if (currentImageId !== image.id || currentSeriesIndex !== series.index) {
+    return;
+  }
+  renderPlaneControls(image, series.index, pyramid.planes);
+  renderChannelPanel(image, series.index, pyramid.channels);
+  renderColorSelect(image, series.index, pyramid.iccProfile);
+  if (pyramid.iccProfile) {
+    document.getElementById('viewer-info').textContent +=
+      ` • ICC: ${pyramid.iccProfile.description || pyramid.iccProfile.colorSpace}`;
   }
   
   // Create OpenSeadragon viewer with FlexTileSource
@@ -175,10 +1166,11 @@ function loadImage(image) {
     prefixUrl: "https://cdnjs.cloudflare.com/ajax/libs/openseadragon/4.0.0/images/",
     tileSources: {
       type: 'flex-image-pyramid',
-      levels: levels,
+      levels: pyramid.levels,
+      tileOverlap: pyramid.tileOverlap,
       tilesUrl: `/api/image/${image.id}_files/`,
-      fileFormat: 'jpeg',
-      queryParams: ''
+      fileFormat: pyramid.tileFormat,
+      queryParams: tileQueryParams(image, series.index)
     },
     showNavigator: true,
     navigatorPosition: 'BOTTOM_RIGHT',
@@ -198,6 +1190,15 @@ function loadImage(image) {
   viewerInstance.addHandler('open', function() {
     const loadTime = ((performance.now() - startTime) / 1000).toFixed(2);
     showStatus(`Image loaded in ${loadTime}s`, 'success');
+    
+    // Once a plane is on screen, fetch the same view of its neighbours
+    if (pyramid.planes) {
+      viewerInstance.world.getItemAt(0).addHandler('fully-loaded-change', (event) => {
+        if (event.fullyLoaded) {
+          prefetchAdjacentPlanes(image, series.index);
+        }
+      });
+    }
   });
   
   viewerInstance.addHandler('open-failed', function(event) {
@@ -206,6 +1207,81 @@ function loadImage(image) {
   });
 }
 
+/**
+ * Show the signed-in account in the panel header
+ */
+function setCurrentUser(user) {
+  currentUser = user;
+  document.getElementById('user-name').textContent = `${user.username}${user.role === 'admin' ? ' (admin)' : ''}`;
+  document.getElementById('user-info').style.display = 'flex';
+  document.getElementById('login-overlay').style.display = 'none';
+}
+
+/**
+ * Show the login screen; without any account it creates the first (admin) account
+ */
+function showLogin(setupRequired) {
+  const form = document.getElementById('login-form');
+  form.dataset.mode = setupRequired ? 'setup' : 'login';
+  document.getElementById('login-title').textContent = setupRequired ? 'Create the admin account' : 'Sign in';
+  document.getElementById('login-hint').textContent = setupRequired
+    ? 'No accounts exist yet. The first account manages all images and users.'
+    : '';
+  document.getElementById('login-submit').textContent = setupRequired ? 'Create account' : 'Sign in';
+  document.getElementById('login-password').autocomplete = setupRequired ? 'new-password' : 'current-password';
+  document.getElementById('login-error').style.display = 'none';
+  document.getElementById('login-overlay').style.display = 'flex';
+  document.getElementById('login-username').focus();
+}
+
+/**
+ * Sign in (or create the first account) with the login form
+ */
+async function submitLogin(event) {
+  event.preventDefault();
+  const form = document.getElementById('login-form');
+  const error = document.getElementById('login-error');
+  
+  try {
+    const response = await fetch(`/api/auth/${form.dataset.mode === 'setup' ? 'setup' : 'login'}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: document.getElementById('login-username').value.trim(),
+        password: document.getElementById('login-password').value
+      })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error);
+    }
+    document.getElementById('login-password').value = '';
+    setCurrentUser(result.user);
+    loadFileList();
+  } catch (err) {
+    error.textContent = err.message;
+    error.style.display = 'block';
+  }
+}
+
+/**
+ * Load the signed-in account, or show the login screen
+ */
+async function checkSession() {
+  try {
+    const response = await fetch('/api/auth/me');
+    const result = await response.json();
+    if (!response.ok) {
+      showLogin(result.setupRequired);
+      return;
+    }
+    setCurrentUser(result.user);
+    loadFileList();
+  } catch (error) {
+    showStatus('Could not reach the server', 'error');
+  }
+}
+
 /**
  * Initialize the application
  */
@@ -257,6 +1333,27 @@ window.addEventListener('DOMContentLoaded', () => {
     }
   });
   
-  // Load initial file list
-  loadFileList();
+  document.getElementById('export-region').addEventListener('click', () => startRegionExport());
+  document.getElementById('share-link').addEventListener('click', () => copyShareLink());
+  document.getElementById('share-region').addEventListener('click', () => {
+    startRegionExport(shareRegion, 'Drag a rectangle on the image to share it (Esc to cancel)');
+  });
+  
+  // Search and sort the file list
+  let searchTimer = null;
+  document.getElementById('file-search').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(loadFileList, 300);
+  });
+  document.getElementById('file-sort').addEventListener('change', loadFileList);
+  
+  // Accounts
+  document.getElementById('login-form').addEventListener('submit', submitLogin);
+  document.getElementById('logout-button').addEventListener('click', async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    window.location.reload();
+  });
+  
+  // Sign in, then load the file list
+  checkSession();
 });
@@ -54,6 +54,7 @@
  *      properties but these properties are sufficient for this implementation.
  *      Additionally, the levels are required to be listed in order from
  *      smallest to largest.
+ * @param {Number} [tileOverlap=0] Pixels each tile shares with its neighbours.
  * @property {Number} aspectRatio
  * @property {Number} dimensions
  * @property {Number} tileSize
@@ -73,7 +74,8 @@ $.FlexTileSource = function( configuration ) {
         levels: configuration.levels,
         tilesUrl: configuration.tilesUrl,
         fileFormat: configuration.fileFormat,
-        queryParams: configuration.queryParams
+        queryParams: configuration.queryParams,
+        tileOverlap: configuration.tileOverlap || 0
     };
 
     //clean up the levels to make sure we support all formats
@@ -92,7 +94,6 @@ $.FlexTileSource = function( configuration ) {
     $.extend( true, options, {
         width: width,
         height: height,
-        tileOverlap: 0,
         minLevel: 0,
         maxLevel: options.levels.length > 0 ? options.levels.length - 1 : 0
     } );
@@ -286,6 +287,7 @@ function configureFromXML( tileSource, xmlDoc ){
                 type: root.getAttribute("type"),
                 fileFormat: root.getAttribute("fileFormat"),
                 url: root.getAttribute("url"),
+                tileOverlap: parseInt(root.getAttribute("tileOverlap") || "0", 10),
                 levels:      []
             };
 
@@ -0,0 +1,60 @@
+/**
+ * Read-only viewer for share links (share.html?token=...).
+ * The token is sent with every request; tiles come from the Deep Zoom
+ * descriptor, which already reflects the link's region and zoom limit.
+ */
+
+function showError(message) {
+  const viewer = document.getElementById('viewer');
+  viewer.innerHTML = '';
+  const error = document.createElement('div');
+  error.className = 'share-error';
+  error.textContent = message;
+  viewer.appendChild(error);
+}
+
+async function openShare() {
+  const token = new URLSearchParams(window.location.search).get('token');
+  if (!token) {
+    showError('This link is incomplete.');
+    return;
+  }
+  const share = encodeURIComponent(token);
+
+  let info;
+  try {
+    const response = await fetch(`/api/share?share=${share}`);
+    info = await response.json();
+    if (!response.ok) {
+      throw new Error(info.error);
+    }
+  } catch (error) {
+    showError('This share link is invalid or has expired.');
+    return;
+  }
+
+  document.title = info.name || 'Shared image';
+  document.getElementById('share-title').textContent = info.name || 'Shared image';
+  document.getElementById('share-info').textContent =
+    `${info.width} × ${info.height}` +
+    (info.region ? ' • Region' : '') +
+    ` • Link expires ${new Date(info.expiresAt).toLocaleString()}`;
+
+  const viewer = OpenSeadragon({
+    id: 'viewer',
+    prefixUrl: 'https://cdnjs.cloudflare.com/ajax/libs/openseadragon/4.0.0/images/',
+    // Query parameters on the descriptor URL are appended to every tile URL
+    tileSources: `/api/image/${info.imageId}.dzi?share=${share}`,
+    showNavigator: true,
+    navigatorPosition: 'BOTTOM_RIGHT',
+    visibilityRatio: 1.0,
+    constrainDuringPan: true,
+    maxZoomPixelRatio: 2
+  });
+
+  viewer.addHandler('open-failed', () => {
+    showError('The shared image could not be loaded.');
+  });
+}
+
+openShare();
@@ -0,0 +1,287 @@
+const sharp = require('sharp');
+const crypto = require('crypto');
+
+/**
+ * Rendering of high-bit-depth and multi-channel (fluorescence) images.
+ * Sharp treats extra bands as alpha and scales everything to 8-bit sRGB on
+ * output, which turns these images black or into nonsense colors. Instead,
+ * each channel is read on its own at native depth, reduced by area averaging,
+ * windowed and mapped through a pseudocolor LUT; the channels are then added
+ * into one RGB image.
+ */
+
+// Pseudocolor LUTs: a channel's windowed intensity scales one of these colors
+const LUT_COLORS = {
+  gray: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 255, 0],
+  blue: [0, 0, 255],
+  cyan: [0, 255, 255],
+  magenta: [255, 0, 255],
+  yellow: [255, 255, 0]
+};
+
+// Default LUTs for fluorescence channels, in channel order (nuclear stain first)
+const FLUORESCENCE_COLORS = ['blue', 'green', 'red', 'magenta', 'cyan', 'yellow', 'gray'];
+
+// Typed array for each Sharp band format
+const SAMPLE_ARRAYS = {
+  uchar: Uint8Array,
+  char: Int8Array,
+  ushort: Uint16Array,
+  short: Int16Array,
+  uint: Uint32Array,
+  int: Int32Array,
+  float: Float32Array,
+  double: Float64Array
+};
+
+// Samples decoded per Sharp call when reducing a large region (bounds memory)
+const MAX_CHUNK_SAMPLES = 8 * 1024 * 1024;
+
+// Long side of the reduced copy the default windows are computed from
+const STATS_SIZE = 512;
+
+// The default window spans these percentiles (ignores hot pixels and empty background)
+const WINDOW_PERCENTILES = [0.001, 0.999];
+
+// Significant digits kept for reported values (float data carries rounding noise)
+const VALUE_PRECISION = 6;
+
+/**
+ * Whether a page needs channel rendering instead of the 8-bit RGB path
+ * @param {Object} metadata - Sharp metadata of the page
+ * @returns {boolean}
+ */
+function needsChannelRendering(metadata) {
+  return metadata.depth !== 'uchar' || metadata.channels > 4;
+}
+
+/**
+ * View raw Sharp output as samples of the given band format
+ * @param {Buffer} data - Raw pixels
+ * @param {string} depth - Sharp band format (uchar, ushort, float, ...)
+ * @returns {TypedArray} Samples
+ */
+function toSamples(data, depth) {
+  const ArrayType = SAMPLE_ARRAYS[depth] || Uint8Array;
+  // Typed arrays need an aligned offset; copy when Sharp's buffer has none
+  const buffer = data.byteOffset % ArrayType.BYTES_PER_ELEMENT === 0
+    ? data
+    : new Uint8Array(data);
+  return new ArrayType(buffer.buffer, buffer.byteOffset, buffer.length / ArrayType.BYTES_PER_ELEMENT);
+}
+
+/**
+ * Source pixels covered by one output pixel along an axis
+ * @returns {Array<number>} Start (inclusive) and end (exclusive)
+ */
+function sourceSpan(index, scale, size) {
+  const start = Math.min(size - 1, Math.floor(index * scale));
+  return [start, Math.max(start + 1, Math.min(size, Math.floor((index + 1) * scale)))];
+}
+
+/**
+ * Read one channel of a region at native depth, reduced to the output size
+ * by averaging the source pixels under every output pixel
+ * @param {string} imagePath - Path to the source image
+ * @param {Object} inputOptions - Sharp input options selecting the page
+ * @param {Object} description - Channel description (depth, space) from describeChannels()
+ * @param {Object} region - left, top, width, height in page pixels
+ * @param {number} channel - Channel index
+ * @param {number} outputWidth - Output width
+ * @param {number} outputHeight - Output height
+ * @returns {Promise<Float32Array>} Channel values, row by row
+ */
+async function readChannel(imagePath, inputOptions, description, region, channel, outputWidth, outputHeight) {
+  const output = new Float32Array(outputWidth * outputHeight);
+  const scaleX = region.width / outputWidth;
+  const scaleY = region.height / outputHeight;
+  const columns = Array.from({ length: outputWidth }, (value, x) => sourceSpan(x, scaleX, region.width));
+  const rowsPerChunk = Math.max(1, Math.floor(MAX_CHUNK_SAMPLES / (region.width * Math.max(1, scaleY))));
+
+  for (let firstRow = 0; firstRow < outputHeight; firstRow += rowsPerChunk) {
+    const lastRow = Math.min(outputHeight, firstRow + rowsPerChunk);
+    const top = sourceSpan(firstRow, scaleY, region.height)[0];
+    const bottom = sourceSpan(lastRow - 1, scaleY, region.height)[1];
+
+    // Extracting the band before any resize keeps Sharp from treating extra bands as alpha
+    const data = await sharp(imagePath, inputOptions)
+      .extract({ left: region.left, top: region.top + top, width: region.width, height: bottom - top })
+      .extractChannel(channel)
+      .toColourspace(description.space)
+      .raw({ depth: description.depth })
+      .toBuffer();
+    const samples = toSamples(data, description.depth);
+
+    for (let y = firstRow; y < lastRow; y++) {
+      const [rowStart, rowEnd] = sourceSpan(y, scaleY, region.height);
+      for (let x = 0; x < outputWidth; x++) {
+        const [columnStart, columnEnd] = columns[x];
+        let sum = 0;
+        for (let row = rowStart; row < rowEnd; row++) {
+          const offset = (row - top) * region.width;
+          for (let column = columnStart; column < columnEnd; column++) {
+            sum += samples[offset + column];
+          }
+        }
+        output[y * outputWidth + x] = sum / ((rowEnd - rowStart) * (columnEnd - columnStart));
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Window every channel, color it through its LUT and add the channels up
+ * @param {Array<Float32Array>} planes - Channel values from readChannel(), one per rendered channel
+ * @param {Array<Object>} channels - Rendered channels (rgb, window)
+ * @param {number} pixelCount - Pixels per plane
+ * @returns {Buffer} 8-bit RGB pixels
+ */
+function compositeChannels(planes, channels, pixelCount) {
+  const sums = new Float32Array(pixelCount * 3);
+
+  channels.forEach((channel, i) => {
+    const plane = planes[i];
+    const [low, high] = channel.window;
+    const range = high - low || 1;
+    const [red, green, blue] = channel.rgb;
+    for (let p = 0; p < pixelCount; p++) {
+      const value = Math.min(1, Math.max(0, (plane[p] - low) / range));
+      sums[p * 3] += value * red;
+      sums[p * 3 + 1] += value * green;
+      sums[p * 3 + 2] += value * blue;
+    }
+  });
+
+  const output = Buffer.alloc(pixelCount * 3);
+  for (let i = 0; i < sums.length; i++) {
+    output[i] = Math.min(255, Math.round(sums[i]));
+  }
+  return output;
+}
+
+/**
+ * Describe the channels of a page and pick default colors and windows
+ * The windows come from the value distribution of a reduced copy of the page.
+ * @param {string} imagePath - Path to the source image
+ * @param {Object} inputOptions - Sharp input options selecting the (smallest) page
+ * @param {Object} metadata - Sharp metadata of that page
+ * @returns {Promise<Object>} depth, space and channels (index, name, color, min, max, window)
+ */
+async function describeChannels(imagePath, inputOptions, metadata) {
+  const description = { depth: metadata.depth, space: metadata.space };
+  const reduce = Math.max(1, Math.max(metadata.width, metadata.height) / STATS_SIZE);
+  const width = Math.max(1, Math.round(metadata.width / reduce));
+  const height = Math.max(1, Math.round(metadata.height / reduce));
+  const region = { left: 0, top: 0, width: metadata.width, height: metadata.height };
+  const colors = metadata.channels === 1
+    ? ['gray']
+    : metadata.channels === 3 && metadata.space === 'rgb16' ? ['red', 'green', 'blue'] : FLUORESCENCE_COLORS;
+
+  const channels = [];
+  for (let index = 0; index < metadata.channels; index++) {
+    const values = (await readChannel(imagePath, inputOptions, description, region, index, width, height)).sort();
+    const percentile = fraction => Number(values[Math.min(values.length - 1, Math.floor(fraction * values.length))]
+      .toPrecision(VALUE_PRECISION));
+    const [min, max] = [0, 1].map(percentile);
+    const window = WINDOW_PERCENTILES.map(percentile);
+    channels.push({
+      index,
+      name: `Channel ${index}`,
+      color: colors[index % colors.length],
+      min,
+      max,
+      window: window[1] > window[0] ? window : [min, max]
+    });
+  }
+
+  return { ...description, channels };
+}
+
+/**
+ * Resolve a LUT name or hex color
+ * @param {string} color - LUT name (gray, red, ...) or RRGGBB
+ * @returns {Array<number>} Red, green and blue
+ */
+function parseColor(color) {
+  const name = String(color).toLowerCase();
+  if (LUT_COLORS[name]) {
+    return LUT_COLORS[name];
+  }
+  if (/^[0-9a-f]{6}$/.test(name)) {
+    return [0, 2, 4].map(offset => parseInt(name.slice(offset, offset + 2), 16));
+  }
+  throw new Error(`Invalid channel color: ${color} (use ${Object.keys(LUT_COLORS).join(', ')} or RRGGBB)`);
+}
+
+function buildRendering(description, channels, key) {
+  return { key, depth: description.depth, space: description.space, channels };
+}
+
+/**
+ * Rendering with every channel in its default color and window
+ * @param {Object} description - Channel description from describeChannels()
+ * @returns {Object} Rendering (cache key '' — the image's default tiles)
+ */
+function defaultRendering(description) {
+  return buildRendering(description, description.channels.map(channel => ({
+    index: channel.index,
+    rgb: parseColor(channel.color),
+    window: channel.window
+  })), '');
+}
+
+/**
+ * Parse a ?channels= parameter: comma-separated index[:color[:min-max]] entries,
+ * e.g. "0:blue:100-2000,2:ff8800". Only the listed channels are rendered;
+ * color and window default to the channel's defaults.
+ * @param {string} value - Parameter value
+ * @param {Object} description - Channel description from describeChannels()
+ * @returns {Object} Rendering with a cache key unique to the parameters
+ */
+function parseChannels(value, description) {
+  const entries = String(value).split(',').filter(Boolean);
+  if (entries.length === 0) {
+    throw new Error('At least one channel is required');
+  }
+
+  const seen = new Set();
+  const channels = entries.map((entry) => {
+    const [indexText, color, windowText] = entry.split(':');
+    const index = Number(indexText);
+    const defaults = description.channels[index];
+    if (!Number.isInteger(index) || !defaults) {
+      throw new Error(`Invalid channel: ${indexText} (the image has ${description.channels.length} channels)`);
+    }
+    if (seen.has(index)) {
+      throw new Error(`Channel ${index} is listed twice`);
+    }
+    seen.add(index);
+
+    let window = defaults.window;
+    if (windowText) {
+      const match = windowText.match(/^(-?[\d.]+(?:e[+-]?\d+)?)-(-?[\d.]+(?:e[+-]?\d+)?)$/i);
+      window = match ? [Number(match[1]), Number(match[2])] : [NaN, NaN];
+      if (!window.every(Number.isFinite) || window[1] <= window[0]) {
+        throw new Error(`Invalid window for channel ${index}: ${windowText} (use min-max)`);
+      }
+    }
+    return { index, rgb: parseColor(color || defaults.color), window };
+  });
+
+  const key = `-c${crypto.createHash('sha1').update(JSON.stringify(channels)).digest('hex').slice(0, 12)}`;
+  return buildRendering(description, channels, key);
+}
+
+module.exports = {
+  LUT_COLORS,
+  needsChannelRendering,
+  readChannel,
+  compositeChannels,
+  describeChannels,
+  defaultRendering,
+  parseChannels
+};
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Chunk size used when the client does not ask for one
+const DEFAULT_CHUNK_SIZE = 16 * 1024 * 1024;
+
+// Chunk bodies are buffered in memory, so keep them bounded
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+
+// Abandoned uploads are removed after this long without activity
+const UPLOAD_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * ChunkedUploadStore implements resumable uploads for multi-gigabyte slides.
+ * Each chunk is written at its offset into a single part file and its SHA-256
+ * is recorded in a manifest, so an interrupted upload can continue from the
+ * chunks the server already has.
+ */
+class ChunkedUploadStore {
+  constructor(uploadsDir, maxFileSize) {
+    this.dir = path.join(uploadsDir, 'temp', 'chunked');
+    this.maxFileSize = maxFileSize;
+    this.manifests = new Map();
+    // Serializes manifest writes per upload (chunks may arrive in parallel)
+    this.writeQueues = new Map();
+  }
+
+  /**
+   * Create the working directory and drop expired uploads
+   */
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const files = await fs.readdir(this.dir);
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const uploadId = path.parse(file).name;
+      try {
+        const manifest = await this.getManifest(uploadId);
+        if (Date.now() - new Date(manifest.updatedAt).getTime() > UPLOAD_EXPIRY_MS) {
+          await this.remove(uploadId);
+        }
+      } catch (error) {
+        console.error(`Skipping chunked upload ${uploadId}:`, error.message);
+      }
+    }
+  }
+
+  manifestPath(uploadId) {
+    return path.join(this.dir, `${uploadId}.json`);
+  }
+
+  partPath(uploadId) {
+    return path.join(this.dir, `${uploadId}.part`);
+  }
+
+  /**
+   * Start a new chunked upload
+   * @param {string} uploadId - Upload ID
+   * @param {Object} options - owner (username), fileName, fileSize, chunkSize and tile settings
+   * @returns {Promise<Object>} Upload status
+   */
+  async create(uploadId, options) {
+    const fileSize = parseInt(options.fileSize, 10);
+    const chunkSize = parseInt(options.chunkSize || DEFAULT_CHUNK_SIZE, 10);
+
+    if (!options.fileName) {
+      throw new Error('fileName is required');
+    }
+    if (!Number.isInteger(fileSize) || fileSize <= 0 || fileSize > this.maxFileSize) {
+      throw new Error('fileSize is missing or too large');
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize <= 0 || chunkSize > MAX_CHUNK_SIZE) {
+      throw new Error(`chunkSize must be between 1 and ${MAX_CHUNK_SIZE} bytes`);
+    }
+
+    const manifest = {
+      uploadId,
+      owner: options.owner || null,
+      fileName: path.basename(options.fileName),
+      fileSize,
+      chunkSize,
+      totalChunks: Math.ceil(fileSize / chunkSize),
+      chunks: {},
+      settings: options.settings || {},
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.partPath(uploadId), '');
+    await this.saveManifest(manifest);
+    return this.describe(manifest);
+  }
+
+  /**
+   * Load an upload manifest
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<Object>} Manifest
+   */
+  async getManifest(uploadId) {
+    if (this.manifests.has(uploadId)) {
+      return this.manifests.get(uploadId);
+    }
+    if (!/^[\w-]+$/.test(uploadId)) {
+      throw new Error(`Upload not found: ${uploadId}`);
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(this.manifestPath(uploadId), 'utf8'));
+    } catch (error) {
+      throw new Error(`Upload not found: ${uploadId}`);
+    }
+    this.manifests.set(uploadId, manifest);
+    return manifest;
+  }
+
+  async saveManifest(manifest) {
+    manifest.updatedAt = new Date().toISOString();
+    this.manifests.set(manifest.uploadId, manifest);
+
+    const previous = this.writeQueues.get(manifest.uploadId) || Promise.resolve();
+    const next = previous.then(async () => {
+      const tempFile = `${this.manifestPath(manifest.uploadId)}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(manifest, null, 2));
+      await fs.rename(tempFile, this.manifestPath(manifest.uploadId));
+    });
+    this.writeQueues.set(manifest.uploadId, next.catch(() => {}));
+    return next;
+  }
+
+  /**
+   * Summarize an upload for API responses
+   * @param {Object} manifest - Manifest
+   * @returns {Object} Upload status
+   */
+  describe(manifest) {
+    const receivedChunks = Object.keys(manifest.chunks).map(Number).sort((a, b) => a - b);
+    return {
+      uploadId: manifest.uploadId,
+      fileName: manifest.fileName,
+      fileSize: manifest.fileSize,
+      chunkSize: manifest.chunkSize,
+      totalChunks: manifest.totalChunks,
+      receivedChunks,
+      complete: receivedChunks.length === manifest.totalChunks,
+      updatedAt: manifest.updatedAt
+    };
+  }
+
+  /**
+   * Get the status of an upload
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<Object>} Upload status
+   */
+  async getStatus(uploadId) {
+    return this.describe(await this.getManifest(uploadId));
+  }
+
+  /**
+   * Verify a chunk against its checksum and write it at its offset
+   * @param {string} uploadId - Upload ID
+   * @param {number} index - Chunk index
+   * @param {Buffer} data - Chunk bytes
+   * @param {string} checksum - Expected SHA-256 (hex)
+   * @returns {Promise<Object>} Upload status
+   */
+  async writeChunk(uploadId, index, data, checksum) {
+    const manifest = await this.getManifest(uploadId);
+
+    if (!Number.isInteger(index) || index < 0 || index >= manifest.totalChunks) {
+      throw new Error(`Invalid chunk index: ${index}`);
+    }
+
+    const offset = index * manifest.chunkSize;
+    const expectedLength = Math.min(manifest.chunkSize, manifest.fileSize - offset);
+    if (!Buffer.isBuffer(data) || data.length !== expectedLength) {
+      throw new Error(`Chunk ${index} must be ${expectedLength} bytes`);
+    }
+
+    const actual = crypto.createHash('sha256').update(data).digest('hex');
+    if (!checksum || actual !== String(checksum).toLowerCase()) {
+      throw new Error(`Checksum mismatch for chunk ${index}`);
+    }
+
+    const handle = await fs.open(this.partPath(uploadId), 'r+');
+    try {
+      await handle.write(data, 0, data.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    manifest.chunks[index] = actual;
+    await this.saveManifest(manifest);
+    return this.describe(manifest);
+  }
+
+  /**
+   * Check that every chunk arrived and hand over the assembled file
+   * @param {string} uploadId - Upload ID
+   * @returns {Promise<Object>} Assembled file path, original name, owner and tile settings
+   */
+  async finalize(uploadId) {
+    const manifest = await this.getManifest(uploadId);
+    const status = this.describe(manifest);
+    if (!status.complete) {
+      const error = new Error(`Upload incomplete: ${status.receivedChunks.length}/${status.totalChunks} chunks received`);
+      error.status = status;
+      throw error;
+    }
+
+    const stat = await fs.stat(this.partPath(uploadId));
+    if (stat.size !== manifest.fileSize) {
+      throw new Error('Assembled file size does not match the declared size');
+    }
+
+    // Give the file its real extension so processUpload keeps it
+    const assembledPath = path.join(path.dirname(this.dir), `${uploadId}${path.extname(manifest.fileName)}`);
+    await fs.rename(this.partPath(uploadId), assembledPath);
+    await this.remove(uploadId);
+
+    return {
+      path: assembledPath,
+      fileName: manifest.fileName,
+      owner: manifest.owner,
+      settings: manifest.settings
+    };
+  }
+
+  /**
+   * Abort an upload and delete its data
+   * @param {string} uploadId - Upload ID
+   */
+  async remove(uploadId) {
+    await (this.writeQueues.get(uploadId) || Promise.resolve());
+    this.manifests.delete(uploadId);
+    this.writeQueues.delete(uploadId);
+    await fs.rm(this.partPath(uploadId), { force: true });
+    await fs.rm(this.manifestPath(uploadId), { force: true });
+  }
+}
+
+ChunkedUploadStore.MAX_CHUNK_SIZE = MAX_CHUNK_SIZE;
+
+module.exports = ChunkedUploadStore;
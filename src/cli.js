@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * Command-line tools that use the server's tiling pipeline without the server:
+ *   info <file>   print the normalized metadata of a slide
+ *   tile <file>   write a static Deep Zoom bundle (<name>.dzi and <name>_files/)
+ *   pack <dir>    zip a bundle for upload to static hosting
+ *
+ * Usage:
+ *   node src/cli.js info <file>
+ *   node src/cli.js tile <file> --out <dir> [--format jpeg|png|webp|avif]
+ *     [--tile-size 256|512|1024] [--overlap 0-8] [--quality 1-100]
+ *     [--series <index>] [--name <name>] [--force]
+ *   node src/cli.js pack <dir> [--out <file.zip>]
+ *
+ * Bundles open in index.html (public/main.js) through "Choose Directory".
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const TileGenerator = require('./tileGenerator');
+const ZipWriter = require('./zipWriter');
+const { validateUpload } = require('./uploadValidation');
+
+// The slide is linked into a scratch uploads directory under this ID
+const CLI_IMAGE_ID = 'cli';
+
+const USAGE = [
+  'Usage:',
+  '  node src/cli.js info <file>',
+  '  node src/cli.js tile <file> --out <dir> [--format jpeg|png|webp|avif] [--tile-size 256|512|1024]',
+  '    [--overlap 0-8] [--quality 1-100] [--series <index>] [--name <name>] [--force]',
+  '  node src/cli.js pack <dir> [--out <file.zip>]'
+].join('\n');
+
+// Options that are flags rather than taking a value
+const FLAGS = ['force'];
+
+function parseArgs(argv) {
+  const args = { positional: [], options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      if (FLAGS.includes(name)) {
+        args.options[name] = true;
+      } else if (i + 1 < argv.length) {
+        args.options[name] = argv[++i];
+      } else {
+        throw new Error(`--${name} needs a value`);
+      }
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+/**
+ * Open a slide with a TileGenerator working in a scratch directory
+ * @param {string} filePath - Slide to open
+ * @param {string} scratchParent - Directory for the scratch directory (tiles are renamed out of it)
+ * @param {Function} fn - Called with the TileGenerator
+ */
+async function withSlide(filePath, scratchParent, fn) {
+  const imagePath = path.resolve(filePath);
+  await validateUpload(imagePath);
+
+  const workDir = await fs.mkdtemp(path.join(scratchParent, '.dzi-tiling-'));
+  try {
+    const originalDir = path.join(workDir, 'original');
+    await fs.mkdir(originalDir, { recursive: true });
+    await fs.symlink(imagePath, path.join(originalDir, `${CLI_IMAGE_ID}${path.extname(imagePath)}`));
+
+    const tileGenerator = new TileGenerator(workDir);
+    await tileGenerator.init();
+    return await fn(tileGenerator);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+async function info(filePath) {
+  await withSlide(filePath, os.tmpdir(), async (tileGenerator) => {
+    const metadata = await tileGenerator.getMetadataById(CLI_IMAGE_ID);
+    const stat = await fs.stat(filePath);
+    console.log(JSON.stringify({
+      file: path.resolve(filePath),
+      fileSize: stat.size,
+      format: metadata.format,
+      width: metadata.width,
+      height: metadata.height,
+      levels: tileGenerator.calculateLevels(metadata.width, metadata.height),
+      series: tileGenerator.describeSeries(metadata),
+      associatedImages: tileGenerator.listAssociatedImages(metadata),
+      vendor: await tileGenerator.getVendorMetadata(CLI_IMAGE_ID)
+    }, null, 2));
+  });
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function tile(filePath, options) {
+  if (!options.out) {
+    throw new Error('--out <dir> is required');
+  }
+  const outDir = path.resolve(options.out);
+  const name = options.name || path.parse(filePath).name;
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error('--name may only contain letters, digits, ".", "_" and "-"');
+  }
+  const seriesIndex = parseInt(options.series || '0', 10);
+
+  const dziPath = path.join(outDir, `${name}.dzi`);
+  const filesDir = path.join(outDir, `${name}_files`);
+  if (!options.force && (await exists(dziPath) || await exists(filesDir))) {
+    throw new Error(`${dziPath} already exists (use --force to replace it)`);
+  }
+  await fs.rm(filesDir, { recursive: true, force: true });
+  await fs.mkdir(outDir, { recursive: true });
+
+  // The scratch directory lives in outDir so finished tiles are renamed, not copied
+  await withSlide(filePath, outDir, async (tileGenerator) => {
+    await tileGenerator.updateImageSettings(CLI_IMAGE_ID, {
+      ...(options.format && { tileFormat: options.format }),
+      ...(options['tile-size'] && { tileSize: options['tile-size'] }),
+      ...(options.overlap !== undefined && { tileOverlap: options.overlap }),
+      ...(options.quality && { tileQuality: options.quality })
+    });
+
+    const series = tileGenerator.getSeries(await tileGenerator.getMetadataById(CLI_IMAGE_ID), seriesIndex);
+    const { tileSize } = await tileGenerator.getTileLayout(CLI_IMAGE_ID);
+    const encoding = await tileGenerator.getTileEncoding(CLI_IMAGE_ID);
+    const levelCount = tileGenerator.calculateLevels(series.width, series.height);
+
+    // Finest level first, so coarser levels are composed from the cached level below
+    const levels = [];
+    for (let level = levelCount - 1; level >= 0; level--) {
+      levels.push({ level, grid: tileGenerator.getLevelGrid(series.width, series.height, level, tileSize), tiles: [] });
+    }
+    const start = Date.now();
+    for (const { level, grid, tiles } of levels) {
+      for (let y = 0; y < grid.rows; y++) {
+        for (let x = 0; x < grid.columns; x++) {
+          const tilePath = await tileGenerator.generateTileOnDemand(CLI_IMAGE_ID, level, x, y, seriesIndex, encoding);
+          tiles.push({ x, y, tilePath });
+        }
+      }
+      console.error(`Level ${level}: ${grid.width} × ${grid.height}, ${tiles.length} tiles`);
+    }
+
+    // Tiles are named after the descriptor's Format, as Deep Zoom viewers expect
+    for (const { level, tiles } of levels) {
+      const levelDir = path.join(filesDir, String(level));
+      await fs.mkdir(levelDir, { recursive: true });
+      for (const { x, y, tilePath } of tiles) {
+        await fs.rename(tilePath, path.join(levelDir, `${x}_${y}.${encoding.format}`));
+      }
+    }
+    await fs.writeFile(dziPath, await tileGenerator.getDziDescriptor(CLI_IMAGE_ID, seriesIndex));
+
+    const tileCount = levels.reduce((sum, { tiles }) => sum + tiles.length, 0);
+    console.error(`Wrote ${dziPath} (${levelCount} levels, ${tileCount} tiles) in ${((Date.now() - start) / 1000).toFixed(1)}s`);
+  });
+}
+
+/**
+ * All files below a directory, relative and '/'-separated, skipping hidden entries
+ */
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+async function pack(dir, options) {
+  const bundleDir = path.resolve(dir);
+  const files = await listFiles(bundleDir);
+  if (!files.some(file => file.toLowerCase().endsWith('.dzi'))) {
+    throw new Error(`No .dzi file in ${bundleDir} (create one with the tile command)`);
+  }
+
+  const zipPath = path.resolve(options.out || `${bundleDir}.zip`);
+  if (path.dirname(zipPath) === bundleDir || zipPath.startsWith(`${bundleDir}${path.sep}`)) {
+    throw new Error('--out must be outside the bundle directory');
+  }
+
+  const zip = new ZipWriter(zipPath);
+  await zip.open();
+  try {
+    for (const file of files) {
+      const filePath = path.join(bundleDir, ...file.split('/'));
+      const stat = await fs.stat(filePath);
+      await zip.addFile(file, await fs.readFile(filePath), stat.mtime);
+    }
+  } finally {
+    await zip.close();
+  }
+  console.error(`Wrote ${zipPath} (${files.length} files, ${(zip.offset / 1024 / 1024).toFixed(1)} MB)`);
+}
+
+async function run() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, options } = parseArgs(rest);
+
+  if (!command || positional.length !== 1) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  switch (command) {
+    case 'info': return info(positional[0]);
+    case 'tile': return tile(positional[0], options);
+    case 'pack': return pack(positional[0], options);
+    default:
+      console.error(`Unknown command: ${command}\n${USAGE}`);
+      process.exit(1);
+  }
+}
+
+run().catch((error) => {
+  console.error(`Error${error.code && error.httpStatus ? ` (${error.code})` : ''}: ${error.message}`);
+  process.exit(1);
+});
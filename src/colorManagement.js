@@ -0,0 +1,178 @@
+const sharp = require('sharp');
+const zlib = require('zlib');
+const crc32 = require('./crc32');
+
+/**
+ * ICC color management for scanner color profiles.
+ * Slide scanners embed an ICC profile describing their device colors, often
+ * only in the first page of a pyramid. Tiles are converted from that profile
+ * to sRGB (or Display P3) whichever page they are read from; the raw device
+ * colors stay available for comparison.
+ */
+
+// Output color modes: converted to sRGB, converted to Display P3, or device values as stored
+const COLOR_MODES = ['srgb', 'p3', 'raw'];
+
+// ICC profile device classes (header bytes 12–15)
+const DEVICE_CLASSES = {
+  scnr: 'input',
+  mntr: 'display',
+  prtr: 'output',
+  link: 'device link',
+  spac: 'color space',
+  abst: 'abstract',
+  nmcl: 'named color'
+};
+
+// Bytes of the ICC header and of one tag table entry
+const ICC_HEADER_SIZE = 128;
+const ICC_TAG_SIZE = 12;
+
+// Length of the PNG signature plus the IHDR chunk, after which iCCP must go
+const PNG_IHDR_END = 8 + 12 + 13;
+
+let displayP3Profile = null;
+
+/**
+ * Validate a ?color= parameter
+ * @param {string} value - srgb (default), p3 or raw
+ * @returns {string} Color mode
+ */
+function parseColorMode(value) {
+  if (value === undefined || value === null || value === '') {
+    return 'srgb';
+  }
+  const mode = String(value).toLowerCase();
+  if (!COLOR_MODES.includes(mode)) {
+    throw new Error(`Invalid color mode: ${value} (use ${COLOR_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Read the text of a profile's description tag (v2 'desc' or v4 'mluc')
+ * @param {Buffer} profile - ICC profile
+ * @param {number} offset - Tag data offset
+ * @param {number} size - Tag data size
+ * @returns {string|null} Description
+ */
+function readDescription(profile, offset, size) {
+  if (offset + Math.min(size, 16) > profile.length) {
+    return null;
+  }
+  const type = profile.toString('latin1', offset, offset + 4);
+  if (type === 'desc') {
+    const length = profile.readUInt32BE(offset + 8);
+    const start = offset + 12;
+    return profile.toString('latin1', start, Math.min(profile.length, start + length)).replace(/\0+$/, '');
+  }
+  if (type === 'mluc') {
+    const count = profile.readUInt32BE(offset + 8);
+    const recordSize = profile.readUInt32BE(offset + 12);
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      const record = offset + 16 + i * recordSize;
+      if (record + 12 > profile.length) break;
+      records.push({
+        language: profile.toString('latin1', record, record + 2),
+        length: profile.readUInt32BE(record + 4),
+        start: offset + profile.readUInt32BE(record + 8)
+      });
+    }
+    const record = records.find(entry => entry.language === 'en') || records[0];
+    if (!record || record.start + record.length > profile.length) {
+      return null;
+    }
+    // UTF-16BE; swap to the little-endian order Node decodes
+    const text = Buffer.from(profile.subarray(record.start, record.start + record.length)).swap16();
+    return text.toString('utf16le').replace(/\0+$/, '');
+  }
+  return null;
+}
+
+/**
+ * Summarize an ICC profile from its header and description tag
+ * @param {Buffer} profile - ICC profile
+ * @returns {Object} description, deviceClass, colorSpace, connectionSpace, version and size
+ */
+function parseIccProfile(profile) {
+  if (profile.length < ICC_HEADER_SIZE + 4 || profile.toString('latin1', 36, 40) !== 'acsp') {
+    throw new Error('Not an ICC profile');
+  }
+  const signature = start => profile.toString('latin1', start, start + 4).trim();
+
+  let description = null;
+  const tagCount = profile.readUInt32BE(ICC_HEADER_SIZE);
+  for (let i = 0; i < tagCount; i++) {
+    const entry = ICC_HEADER_SIZE + 4 + i * ICC_TAG_SIZE;
+    if (entry + ICC_TAG_SIZE > profile.length) break;
+    if (profile.toString('latin1', entry, entry + 4) === 'desc') {
+      description = readDescription(profile, profile.readUInt32BE(entry + 4), profile.readUInt32BE(entry + 8));
+      break;
+    }
+  }
+
+  const deviceClass = signature(12);
+  return {
+    description,
+    deviceClass: DEVICE_CLASSES[deviceClass] || deviceClass,
+    colorSpace: signature(16),
+    connectionSpace: signature(20),
+    version: `${profile[8]}.${profile[9] >> 4}.${profile[9] & 0xf}`,
+    size: profile.length
+  };
+}
+
+/**
+ * Insert an iCCP chunk into a PNG that has none
+ * @param {Buffer} png - PNG file
+ * @param {Buffer} profile - ICC profile
+ * @returns {Buffer} PNG tagged with the profile
+ */
+function embedPngProfile(png, profile) {
+  // Profile name, NUL, compression method 0 (deflate), compressed profile
+  const data = Buffer.concat([Buffer.from('ICC profile\0\0', 'latin1'), zlib.deflateSync(profile)]);
+  const type = Buffer.from('iCCP', 'latin1');
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([type, data])));
+  return Buffer.concat([png.subarray(0, PNG_IHDR_END), length, type, data, crc, png.subarray(PNG_IHDR_END)]);
+}
+
+/**
+ * Declare the profile of pixels that carry none, so Sharp converts from it on
+ * output. Sharp cannot assign an input profile, so the pixels take a round trip
+ * through an uncompressed PNG that embeds it.
+ * @param {Object} pipeline - Sharp pipeline producing device colors
+ * @param {Buffer} profile - ICC profile of the device colors
+ * @returns {Promise<Object>} Sharp pipeline over the tagged pixels
+ */
+async function assignProfile(pipeline, profile) {
+  const png = await pipeline.png({ compressionLevel: 0 }).toBuffer();
+  return sharp(embedPngProfile(png, profile));
+}
+
+/**
+ * The Display P3 profile Sharp embeds in converted output
+ * @returns {Promise<Buffer>} ICC profile
+ */
+function getDisplayP3Profile() {
+  if (!displayP3Profile) {
+    displayP3Profile = sharp({ create: { width: 1, height: 1, channels: 3, background: '#000' } })
+      .withIccProfile('p3')
+      .png()
+      .toBuffer()
+      .then(png => sharp(png).metadata())
+      .then(metadata => metadata.icc);
+  }
+  return displayP3Profile;
+}
+
+module.exports = {
+  COLOR_MODES,
+  parseColorMode,
+  parseIccProfile,
+  assignProfile,
+  getDisplayP3Profile
+};
@@ -0,0 +1,255 @@
+/**
+ * IIIF Image API 3.0 request parsing and image information
+ * https://iiif.io/api/image/3.0/
+ */
+
+const IIIF_CONTEXT = 'http://iiif.io/api/image/3/context.json';
+
+// IIIF format → encoder format and media type
+const IIIF_FORMATS = {
+  jpg: { format: 'jpeg', mimeType: 'image/jpeg' },
+  png: { format: 'png', mimeType: 'image/png' },
+  webp: { format: 'webp', mimeType: 'image/webp' },
+  tif: { format: 'tiff', mimeType: 'image/tiff' }
+};
+
+const IIIF_QUALITIES = ['default', 'color', 'gray', 'bitonal'];
+
+// Smallest full-image size advertised in info.json "sizes"
+const MIN_SIZE_HINT = 64;
+
+// Largest full-image size advertised in info.json "sizes"
+const MAX_SIZE_HINT = 2048;
+
+/**
+ * Parse the region parameter
+ * @param {string} value - full, square, x,y,w,h or pct:x,y,w,h
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} left, top, width, height in full-resolution pixels, clipped to the image
+ */
+function parseRegion(value, width, height) {
+  let region;
+
+  if (value === 'full') {
+    region = { left: 0, top: 0, width, height };
+  } else if (value === 'square') {
+    const side = Math.min(width, height);
+    region = {
+      left: Math.floor((width - side) / 2),
+      top: Math.floor((height - side) / 2),
+      width: side,
+      height: side
+    };
+  } else {
+    const match = value.match(/^(pct:)?(\d+(?:\.\d+)?),(\d+(?:\.\d+)?),(\d+(?:\.\d+)?),(\d+(?:\.\d+)?)$/);
+    if (!match) {
+      throw new Error(`Invalid region: ${value}`);
+    }
+    let [x, y, w, h] = match.slice(2).map(Number);
+    if (match[1]) {
+      x = Math.round(x / 100 * width);
+      y = Math.round(y / 100 * height);
+      w = Math.round(w / 100 * width);
+      h = Math.round(h / 100 * height);
+    } else if (![x, y, w, h].every(Number.isInteger)) {
+      throw new Error(`Invalid region: ${value}`);
+    }
+    if (w <= 0 || h <= 0 || x >= width || y >= height) {
+      throw new Error(`Region is empty or outside the image: ${value}`);
+    }
+    region = {
+      left: x,
+      top: y,
+      width: Math.min(w, width - x),
+      height: Math.min(h, height - y)
+    };
+  }
+
+  return region;
+}
+
+/**
+ * Parse the size parameter (upscaling with ^ is not supported)
+ * @param {string} value - max, w,, ,h, pct:n, w,h or !w,h
+ * @param {Object} region - Region from parseRegion()
+ * @param {number} maxSize - Largest output side
+ * @returns {Object} Output width and height
+ */
+function parseSize(value, region, maxSize) {
+  if (value.startsWith('^')) {
+    throw new Error('Upscaling is not supported');
+  }
+
+  // Largest size that fits both the region and maxSize
+  const maxScale = Math.min(1, maxSize / region.width, maxSize / region.height);
+  let width;
+  let height;
+
+  if (value === 'max') {
+    width = Math.round(region.width * maxScale);
+    height = Math.round(region.height * maxScale);
+  } else if (value.startsWith('pct:')) {
+    const percent = Number(value.slice(4));
+    if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+      throw new Error(`Invalid size: ${value}`);
+    }
+    width = Math.round(region.width * percent / 100);
+    height = Math.round(region.height * percent / 100);
+  } else {
+    const match = value.match(/^(!)?(\d*),(\d*)$/);
+    if (!match || (!match[2] && !match[3]) || (match[1] && (!match[2] || !match[3]))) {
+      throw new Error(`Invalid size: ${value}`);
+    }
+    const w = match[2] ? parseInt(match[2], 10) : null;
+    const h = match[3] ? parseInt(match[3], 10) : null;
+
+    if (match[1]) {
+      // Fit inside w × h, keeping the aspect ratio
+      const scale = Math.min(w / region.width, h / region.height, maxScale);
+      width = Math.round(region.width * scale);
+      height = Math.round(region.height * scale);
+    } else if (w !== null && h !== null) {
+      width = w;
+      height = h;
+    } else if (w !== null) {
+      width = w;
+      height = Math.round(region.height * w / region.width);
+    } else {
+      height = h;
+      width = Math.round(region.width * h / region.height);
+    }
+  }
+
+  width = Math.max(1, width);
+  height = Math.max(1, height);
+  if (width > region.width || height > region.height) {
+    throw new Error('Requested size is larger than the region (upscaling is not supported)');
+  }
+  if (width > maxSize || height > maxSize) {
+    throw new Error(`Requested size exceeds the limit of ${maxSize} px per side`);
+  }
+  return { width, height };
+}
+
+/**
+ * Parse the rotation parameter (multiples of 90°, optionally mirrored)
+ * @param {string} value - e.g. 0, 90, !180
+ * @returns {Object} mirror and degrees
+ */
+function parseRotation(value) {
+  const match = value.match(/^(!)?(\d+(?:\.\d+)?)$/);
+  const degrees = match ? Number(match[2]) : NaN;
+  if (!match || degrees < 0 || degrees > 360 || degrees % 90 !== 0) {
+    throw new Error(`Unsupported rotation: ${value} (multiples of 90 only)`);
+  }
+  return { mirror: Boolean(match[1]), degrees: degrees % 360 };
+}
+
+/**
+ * Parse the quality.format parameter
+ * @param {string} value - e.g. default.jpg
+ * @returns {Object} quality, encoder format and media type
+ */
+function parseQualityFormat(value) {
+  const match = value.match(/^(\w+)\.(\w+)$/);
+  if (!match || !IIIF_QUALITIES.includes(match[1])) {
+    throw new Error(`Unsupported quality: ${value}`);
+  }
+  if (!IIIF_FORMATS[match[2]]) {
+    throw new Error(`Unsupported format: ${match[2]}`);
+  }
+  return { quality: match[1], ...IIIF_FORMATS[match[2]] };
+}
+
+/**
+ * Scale factors of the tile pyramid, down to the level where the image fits one tile
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} tileSize - Tile size
+ * @returns {Array<number>} Powers of two, smallest first
+ */
+function scaleFactors(width, height, tileSize) {
+  const factors = [1];
+  while (Math.max(width, height) / factors[factors.length - 1] > tileSize) {
+    factors.push(factors[factors.length - 1] * 2);
+  }
+  return factors;
+}
+
+/**
+ * Build info.json for an image
+ * @param {string} id - Base URI of the image service
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} tileSize - Tile size of the cached pyramid
+ * @param {number} maxSize - Largest output side
+ * @returns {Object} Image information
+ */
+function buildInfo(id, width, height, tileSize, maxSize) {
+  const factors = scaleFactors(width, height, tileSize);
+  const sizes = factors
+    .map(factor => ({ width: Math.ceil(width / factor), height: Math.ceil(height / factor) }))
+    .filter(size => Math.max(size.width, size.height) >= MIN_SIZE_HINT &&
+      Math.max(size.width, size.height) <= MAX_SIZE_HINT)
+    .reverse();
+
+  return {
+    '@context': IIIF_CONTEXT,
+    id,
+    type: 'ImageService3',
+    protocol: 'http://iiif.io/api/image',
+    profile: 'level2',
+    width,
+    height,
+    maxWidth: maxSize,
+    maxHeight: maxSize,
+    sizes,
+    tiles: [{ width: tileSize, scaleFactors: factors }],
+    extraFormats: ['webp', 'tif'],
+    extraQualities: ['gray', 'bitonal'],
+    extraFeatures: ['mirroring']
+  };
+}
+
+/**
+ * Find the cached pyramid tile a request corresponds to, if any.
+ * Viewers following the info.json tile hints only ever ask for these.
+ * @param {Object} region - Region from parseRegion()
+ * @param {Object} size - Size from parseSize()
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} tileSize - Tile size of the cached pyramid
+ * @param {number} levels - Number of Deep Zoom levels
+ * @returns {Object|null} Deep Zoom level, x and y
+ */
+function matchTile(region, size, width, height, tileSize, levels) {
+  for (const factor of scaleFactors(width, height, tileSize)) {
+    const span = tileSize * factor;
+    if (region.left % span !== 0 || region.top % span !== 0) continue;
+    if (region.width !== Math.min(span, width - region.left)) continue;
+    if (region.height !== Math.min(span, height - region.top)) continue;
+
+    // Viewers derive one side from the other, so allow a pixel of rounding
+    const tileWidth = Math.ceil(region.width / factor);
+    const tileHeight = Math.ceil(region.height / factor);
+    if (Math.abs(size.width - tileWidth) > 1 || Math.abs(size.height - tileHeight) > 1) continue;
+
+    return {
+      level: levels - 1 - Math.log2(factor),
+      x: region.left / span,
+      y: region.top / span
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  IIIF_CONTEXT,
+  parseRegion,
+  parseSize,
+  parseRotation,
+  parseQualityFormat,
+  buildInfo,
+  matchTile
+};
@@ -0,0 +1,155 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Fields /api/images can sort by
+const SORT_FIELDS = ['uploadedAt', 'name', 'originalName', 'fileSize', 'width', 'height'];
+
+// Upper bound for one page of results
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * ImageCatalog is the persistent record of every uploaded image.
+ * It is a single JSON file under uploadsDir, loaded into memory at startup,
+ * so listing images never has to re-probe the originals with Sharp.
+ */
+class ImageCatalog {
+  constructor(catalogFile) {
+    this.catalogFile = catalogFile;
+    this.records = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load the catalog from disk
+   */
+  async init() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.catalogFile, 'utf8'));
+      for (const record of saved.images || []) {
+        this.records.set(record.id, record);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not load image catalog: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * @param {string} imageId - Image ID
+   * @returns {Object|null} Catalog record
+   */
+  get(imageId) {
+    return this.records.get(imageId) || null;
+  }
+
+  /**
+   * @returns {Array<Object>} All catalog records
+   */
+  all() {
+    return [...this.records.values()];
+  }
+
+  /**
+   * Add or replace a record
+   * @param {Object} record - Record with at least an id
+   * @returns {Promise<Object>} Stored record
+   */
+  async put(record) {
+    this.records.set(record.id, record);
+    await this.save();
+    return record;
+  }
+
+  /**
+   * Merge changes into an existing record
+   * @param {string} imageId - Image ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Updated record
+   */
+  async update(imageId, changes) {
+    const record = this.records.get(imageId);
+    if (!record) {
+      throw new Error(`Image not found: ${imageId}`);
+    }
+    Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+    await this.save();
+    return record;
+  }
+
+  /**
+   * @param {string} imageId - Image ID
+   */
+  async remove(imageId) {
+    if (this.records.delete(imageId)) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Search, sort and paginate the catalog
+   * @param {Object} options - search, sort, order ('asc'|'desc'), page (1-based), pageSize,
+   *   username (only images owned by or shared with that user) and extraRecords
+   *   (entries that are not stored, searched, sorted and paged with the rest)
+   * @returns {Object} Matching records for the page and the total match count
+   */
+  query(options = {}) {
+    let records = [...this.all(), ...(options.extraRecords || [])];
+
+    if (options.username) {
+      records = records.filter(record =>
+        record.owner === options.username || (record.grants || []).includes(options.username));
+    }
+
+    const search = String(options.search || '').trim().toLowerCase();
+    if (search) {
+      records = records.filter(record => [
+        record.id,
+        record.name,
+        record.originalName,
+        record.description,
+        record.vendor,
+        ...(record.tags || [])
+      ].some(value => value && String(value).toLowerCase().includes(search)));
+    }
+
+    const sort = SORT_FIELDS.includes(options.sort) ? options.sort : 'uploadedAt';
+    const direction = options.order === 'asc' ? 1 : (options.order === 'desc' ? -1 : (sort === 'uploadedAt' ? -1 : 1));
+    records.sort((a, b) => {
+      const left = sort === 'name' ? (a.name || a.originalName || '') : a[sort];
+      const right = sort === 'name' ? (b.name || b.originalName || '') : b[sort];
+      if (typeof left === 'string' || typeof right === 'string') {
+        return String(left || '').localeCompare(String(right || '')) * direction;
+      }
+      return ((left || 0) - (right || 0)) * direction;
+    });
+
+    const total = records.length;
+    if (options.page !== undefined || options.pageSize !== undefined) {
+      const pageSize = Math.min(Math.max(parseInt(options.pageSize, 10) || 50, 1), MAX_PAGE_SIZE);
+      const page = Math.max(parseInt(options.page, 10) || 1, 1);
+      records = records.slice((page - 1) * pageSize, page * pageSize);
+    }
+
+    return { records, total };
+  }
+
+  /**
+   * Write the catalog atomically; writes are chained so they never interleave
+   */
+  async save() {
+    this.saving = this.saving
+      .then(async () => {
+        const tempFile = `${this.catalogFile}.tmp`;
+        await fs.mkdir(path.dirname(this.catalogFile), { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify({ version: 1, images: this.all() }, null, 2));
+        await fs.rename(tempFile, this.catalogFile);
+      })
+      .catch((error) => {
+        console.error('Could not save image catalog:', error.message);
+      });
+    return this.saving;
+  }
+}
+
+module.exports = ImageCatalog;
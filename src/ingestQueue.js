@@ -0,0 +1,391 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// How files get into originalDir: linked in place, or moved there
+const INGEST_MODES = ['reference', 'move'];
+
+// How often the watch directory is scanned (network shares rarely deliver
+// file system events, so it is polled)
+const DEFAULT_POLL_MS = 5000;
+
+// A file counts as fully written once its size and mtime stop changing for this long
+const DEFAULT_SETTLE_MS = 30 * 1000;
+
+// Finished jobs kept for status and to remember which files were handled
+const MAX_FINISHED_JOBS = 1000;
+
+// Job states that still need work after a restart
+const ACTIVE_STATES = ['queued', 'running'];
+
+/**
+ * IngestQueue registers slides that are already on the server's disk:
+ * files that appear in a watch directory (hot folder) and paths an admin
+ * imports. Files go through TileGenerator.processUpload like uploads do,
+ * either by reference (linked into originalDir) or by move. Jobs run one at
+ * a time and are persisted, so a file is never ingested twice and failures
+ * are only retried once the file changes.
+ */
+class IngestQueue {
+  /**
+   * @param {TileGenerator} tileGenerator - Tile generator
+   * @param {string} jobsFile - Where jobs are persisted
+   * @param {Object} options - watchDir, mode, owner (username for watched files),
+   *   settleMs, pollMs, importDirs (allowed roots for imports; empty = any) and extensions
+   */
+  constructor(tileGenerator, jobsFile, options = {}) {
+    this.tileGenerator = tileGenerator;
+    this.jobsFile = jobsFile;
+    this.watchDir = options.watchDir ? path.resolve(options.watchDir) : null;
+    this.mode = this.parseMode(options.mode || 'reference');
+    this.owner = options.owner || null;
+    this.settleMs = options.settleMs || DEFAULT_SETTLE_MS;
+    this.pollMs = options.pollMs || DEFAULT_POLL_MS;
+    this.importDirs = (options.importDirs || []).map(dir => path.resolve(dir));
+    this.extensions = options.extensions || [];
+    this.jobs = new Map();
+    // Watched files that were ingested or rejected: path -> { size, mtimeMs, status, imageId }
+    // (kept apart from jobs, whose history is trimmed)
+    this.handledFiles = new Map();
+    // Files seen in the watch directory that are still being written: path -> { size, mtimeMs, since }
+    this.pending = new Map();
+    this.queue = [];
+    this.running = null;
+    this.scanning = false;
+    this.timer = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load persisted jobs, resume interrupted ones and start watching
+   */
+  async init() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.jobsFile, 'utf8'));
+      // Older files hold only the jobs; their finished watch jobs seed the handled files
+      const jobs = Array.isArray(saved) ? saved : saved.jobs;
+      for (const job of jobs) {
+        this.jobs.set(job.id, job);
+        if (ACTIVE_STATES.includes(job.status)) {
+          job.status = 'queued';
+          this.queue.push(job.id);
+        }
+      }
+      if (Array.isArray(saved)) {
+        this.listJobs().reverse().forEach(job => this.recordHandled(job));
+      } else {
+        for (const [filePath, entry] of Object.entries(saved.files || {})) {
+          this.handledFiles.set(filePath, entry);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Could not load ingestion jobs:', error.message);
+      }
+    }
+
+    if (this.watchDir) {
+      await fs.mkdir(this.watchDir, { recursive: true });
+      this.timer = setInterval(() => this.scan(), this.pollMs);
+      this.timer.unref();
+      console.log(`Watching ${this.watchDir} for slides (${this.mode})`);
+    }
+    this.processQueue();
+  }
+
+  parseMode(mode) {
+    if (!INGEST_MODES.includes(mode)) {
+      throw new Error(`Invalid ingestion mode: ${mode} (use ${INGEST_MODES.join(' or ')})`);
+    }
+    return mode;
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job state
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * @returns {Array<Object>} All jobs, newest first
+   */
+  listJobs() {
+    return [...this.jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Files that have not become an image: the latest job of each file when it
+   * is queued, running or failed (failed watch files only while they are still there)
+   * @returns {Array<Object>} Jobs, newest first
+   */
+  listOpenJobs() {
+    const seen = new Set();
+    return this.listJobs().filter((job) => {
+      if (seen.has(job.path)) return false;
+      seen.add(job.path);
+      if (job.status === 'completed') return false;
+      return job.status !== 'failed' || job.source !== 'watch' || this.handledFiles.has(job.path);
+    });
+  }
+
+  /**
+   * Forget a failed job; its file is still only retried once it changes
+   * @param {string} jobId - Job ID
+   */
+  async dismissJob(jobId) {
+    this.jobs.delete(jobId);
+    await this.save();
+  }
+
+  /**
+   * Latest job for a file
+   * @param {string} filePath - Absolute path
+   * @returns {Object|null} Job state
+   */
+  findJobByPath(filePath) {
+    return this.listJobs().find(job => job.path === filePath) || null;
+  }
+
+  /**
+   * Import a file that is on the server's disk
+   * @param {string} filePath - Absolute path to the file
+   * @param {Object} options - mode ('reference' by default), owner and uploader (usernames) and settings
+   * @returns {Promise<Object>} Job state
+   */
+  async importFile(filePath, options = {}) {
+    if (typeof filePath !== 'string' || !path.isAbsolute(filePath)) {
+      throw new Error('path must be an absolute path on the server');
+    }
+    const mode = this.parseMode(options.mode || 'reference');
+    if (!this.extensions.includes(path.extname(filePath).toLowerCase())) {
+      throw new Error(`Only ${this.extensions.join(', ')} files can be imported`);
+    }
+
+    // Resolve links so an allowed directory cannot be escaped through one
+    let realPath;
+    try {
+      realPath = await fs.realpath(filePath);
+    } catch (error) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    if (this.importDirs.length > 0 && !this.importDirs.some(dir => isInside(realPath, dir))) {
+      throw new Error(`Imports are limited to ${this.importDirs.join(', ')}`);
+    }
+    const stat = await fs.stat(realPath);
+    if (!stat.isFile()) {
+      throw new Error(`Not a file: ${filePath}`);
+    }
+
+    const active = this.findJobByPath(realPath);
+    if (active && ACTIVE_STATES.includes(active.status)) {
+      return active;
+    }
+    return this.enqueue(realPath, stat, {
+      source: 'import',
+      mode,
+      owner: options.owner || null,
+      uploader: options.uploader || null,
+      settings: options.settings || {}
+    });
+  }
+
+  async enqueue(filePath, stat, details) {
+    const job = {
+      // Also the image ID once the file is registered
+      id: uuidv4(),
+      path: filePath,
+      source: details.source,
+      mode: details.mode,
+      owner: details.owner,
+      uploader: details.uploader,
+      settings: details.settings,
+      size: stat.size,
+      mtimeMs: stat.mtimeMs,
+      status: 'queued',
+      error: null,
+      imageId: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    await this.save();
+    this.processQueue();
+    return job;
+  }
+
+  /**
+   * Look for new files in the watch directory and queue those that are fully written
+   */
+  async scan() {
+    if (this.scanning) return;
+    this.scanning = true;
+    try {
+      const seen = new Set();
+      const active = new Set(this.listJobs().filter(job => ACTIVE_STATES.includes(job.status)).map(job => job.path));
+      for (const filePath of await listFiles(this.watchDir)) {
+        if (!this.extensions.includes(path.extname(filePath).toLowerCase())) continue;
+        seen.add(filePath);
+
+        let stat;
+        try {
+          stat = await fs.stat(filePath);
+        } catch (error) {
+          continue;
+        }
+
+        // Already queued or handled, unless it failed and has been rewritten since
+        const handled = this.handledFiles.get(filePath);
+        if (active.has(filePath) ||
+          (handled && (handled.status !== 'failed' || (handled.size === stat.size && handled.mtimeMs === stat.mtimeMs)))) {
+          continue;
+        }
+
+        const pending = this.pending.get(filePath);
+        if (!pending || pending.size !== stat.size || pending.mtimeMs !== stat.mtimeMs) {
+          this.pending.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, since: Date.now() });
+          continue;
+        }
+        if (Date.now() - pending.since < this.settleMs) continue;
+
+        this.pending.delete(filePath);
+        await this.enqueue(filePath, stat, {
+          source: 'watch',
+          mode: this.mode,
+          owner: this.owner,
+          uploader: 'watch folder',
+          settings: {}
+        });
+      }
+
+      // Forget files that disappeared before they settled
+      for (const filePath of this.pending.keys()) {
+        if (!seen.has(filePath)) this.pending.delete(filePath);
+      }
+      // and handled files that are gone (moved in, or removed), so a new file under the same name is ingested
+      const gone = [...this.handledFiles.keys()].filter(filePath => !seen.has(filePath));
+      if (gone.length > 0) {
+        gone.forEach(filePath => this.handledFiles.delete(filePath));
+        await this.save();
+      }
+    } catch (error) {
+      console.error('Watch directory scan failed:', error.message);
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  /**
+   * Start the next queued job if nothing is running
+   */
+  processQueue() {
+    if (this.running || this.queue.length === 0) return;
+
+    const job = this.jobs.get(this.queue.shift());
+    if (!job || job.status !== 'queued') {
+      this.processQueue();
+      return;
+    }
+
+    this.running = this.runJob(job)
+      .catch((error) => {
+        if (!error.httpStatus) {
+          console.error(`Ingestion failed for ${job.path}:`, error);
+        }
+        this.updateJob(job, {
+          status: 'failed',
+          error: { code: error.code && error.httpStatus ? error.code : 'INTERNAL_ERROR', message: error.message }
+        });
+      })
+      .then(() => {
+        this.recordHandled(job);
+        return this.save();
+      })
+      .finally(() => {
+        this.running = null;
+        this.processQueue();
+      });
+  }
+
+  async runJob(job) {
+    this.updateJob(job, { status: 'running', error: null });
+    await this.save();
+
+    await this.tileGenerator.processUpload(job.id, job.path, job.settings, {
+      originalName: path.basename(job.path),
+      uploader: job.uploader,
+      owner: job.owner,
+      ingestion: { source: job.source, mode: job.mode, path: job.path }
+    });
+    this.updateJob(job, { status: 'completed', imageId: job.id });
+  }
+
+  updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Remember a finished watch job's file, so later scans skip it
+   */
+  recordHandled(job) {
+    if (job.source !== 'watch' || ACTIVE_STATES.includes(job.status)) return;
+    this.handledFiles.set(job.path, { size: job.size, mtimeMs: job.mtimeMs, status: job.status, imageId: job.imageId });
+  }
+
+  /**
+   * Persist the jobs (dropping the oldest finished ones) and the handled files;
+   * writes are chained so they never interleave
+   */
+  async save() {
+    const finished = this.listJobs().filter(job => !ACTIVE_STATES.includes(job.status));
+    for (const job of finished.slice(MAX_FINISHED_JOBS)) {
+      this.jobs.delete(job.id);
+    }
+
+    this.saving = this.saving
+      .then(async () => {
+        const tempFile = `${this.jobsFile}.tmp`;
+        await fs.mkdir(path.dirname(this.jobsFile), { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify({
+          jobs: [...this.jobs.values()],
+          files: Object.fromEntries(this.handledFiles)
+        }, null, 2));
+        await fs.rename(tempFile, this.jobsFile);
+      })
+      .catch((error) => {
+        console.error('Could not save ingestion jobs:', error.message);
+      });
+    return this.saving;
+  }
+}
+
+function isInside(filePath, dir) {
+  const relative = path.relative(dir, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * All files below a directory, skipping hidden files and directories
+ * (scanners often write to a hidden name and rename when done)
+ * @param {string} dir - Directory
+ * @returns {Promise<Array<string>>} Absolute file paths
+ */
+async function listFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+IngestQueue.INGEST_MODES = INGEST_MODES;
+
+module.exports = IngestQueue;
@@ -0,0 +1,142 @@
+/**
+ * OME-TIFF plane mapping.
+ * An OME-TIFF stores every (channel, Z-plane, time point) of an image as its
+ * own IFD, with reduced resolutions as SubIFDs of that IFD. The OME-XML in
+ * the first ImageDescription lists the images, their dimensions and the IFD
+ * of each plane (TiffData elements).
+ */
+
+// Default pseudocolors when the OME-XML gives none, in channel order
+const DEFAULT_CHANNEL_COLORS = ['0000ff', '00ff00', 'ff0000', 'ff00ff', '00ffff', 'ffff00', 'ffffff'];
+
+function readAttributes(text) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*"([^"]*)"/g;
+  let attribute;
+  while ((attribute = pattern.exec(text)) !== null) {
+    attributes[attribute[1]] = attribute[2];
+  }
+  return attributes;
+}
+
+function toCount(value) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : 1;
+}
+
+/**
+ * OME channel color: a signed 32-bit RGBA integer
+ * @param {string} value - Color attribute
+ * @returns {string|null} RRGGBB, or null when missing or black (unset)
+ */
+function toHexColor(value) {
+  if (value === undefined) return null;
+  const rgba = Number(value) >>> 0;
+  const hex = (rgba >>> 8).toString(16).padStart(6, '0');
+  return hex === '000000' ? null : hex;
+}
+
+/**
+ * Parse the images of an OME-XML document with the IFD of every plane
+ * @param {string} xml - OME-XML from the first ImageDescription
+ * @param {number} ifdCount - Number of top-level IFDs in the file
+ * @returns {Array<Object>} Images: name, width, height, sizes (c, z, t), channels (name, color)
+ *   and planes ({ c, z, t, ifd }); empty when the document is not OME-XML
+ */
+function parseOmeXml(xml, ifdCount) {
+  if (!xml || !xml.includes('<OME')) {
+    return [];
+  }
+
+  const images = [];
+  // Images without TiffData follow each other in the file
+  let nextIfd = 0;
+  const imagePattern = /<Image\b([^>]*)>([\s\S]*?)<\/Image>/g;
+  let image;
+  while ((image = imagePattern.exec(xml)) !== null) {
+    const pixelsMatch = image[2].match(/<Pixels\b([^>]*)>([\s\S]*?)<\/Pixels>/);
+    if (!pixelsMatch) continue;
+    const pixels = readAttributes(pixelsMatch[1]);
+
+    const channels = [];
+    const channelPattern = /<Channel\b([^>]*?)\/?>/g;
+    let channel;
+    while ((channel = channelPattern.exec(pixelsMatch[2])) !== null) {
+      const attributes = readAttributes(channel[1]);
+      channels.push({
+        name: attributes.Name || `Channel ${channels.length}`,
+        color: toHexColor(attributes.Color),
+        samplesPerPixel: toCount(attributes.SamplesPerPixel)
+      });
+    }
+
+    // Channels stored as samples of one IFD (e.g. RGB) share a plane
+    const samplesPerPixel = channels.length ? channels[0].samplesPerPixel : 1;
+    const sizes = {
+      c: Math.max(1, Math.floor(toCount(pixels.SizeC) / samplesPerPixel)),
+      z: toCount(pixels.SizeZ),
+      t: toCount(pixels.SizeT)
+    };
+    const planeCount = sizes.c * sizes.z * sizes.t;
+
+    // DimensionOrder names the axes from fastest to slowest after X and Y, e.g. XYZCT
+    const order = /^XY[CZT]{3}$/.test(pixels.DimensionOrder) ? pixels.DimensionOrder.slice(2).toLowerCase() : 'zct';
+    const toIndex = plane => order.split('').reduceRight((index, axis) => index * sizes[axis] + plane[axis], 0);
+    const toPlane = (index) => {
+      const plane = {};
+      for (const axis of order) {
+        plane[axis] = index % sizes[axis];
+        index = Math.floor(index / sizes[axis]);
+      }
+      return plane;
+    };
+
+    const ifds = new Array(planeCount).fill(null);
+    const tiffData = [...pixelsMatch[2].matchAll(/<TiffData\b([^>]*?)(?:\/>|>[\s\S]*?<\/TiffData>)/g)];
+    if (tiffData.length === 0) {
+      for (let i = 0; i < planeCount; i++) ifds[i] = nextIfd + i;
+    }
+    tiffData.forEach((entry) => {
+      const attributes = readAttributes(entry[1]);
+      const ifd = parseInt(attributes.IFD || '0', 10);
+      // PlaneCount defaults to 1 with an IFD, otherwise to all planes
+      const count = attributes.PlaneCount !== undefined
+        ? parseInt(attributes.PlaneCount, 10)
+        : (attributes.IFD !== undefined || tiffData.length > 1 ? 1 : planeCount);
+      const first = toIndex({
+        c: parseInt(attributes.FirstC || '0', 10),
+        z: parseInt(attributes.FirstZ || '0', 10),
+        t: parseInt(attributes.FirstT || '0', 10)
+      });
+      for (let i = 0; i < count && first + i < planeCount; i++) {
+        ifds[first + i] = ifd + i;
+      }
+    });
+
+    const planes = [];
+    ifds.forEach((ifd, index) => {
+      if (ifd !== null && ifd < ifdCount) {
+        planes.push({ ...toPlane(index), ifd });
+      }
+    });
+    nextIfd = Math.max(nextIfd, ...planes.map(plane => plane.ifd + 1));
+
+    images.push({
+      name: readAttributes(image[1]).Name || null,
+      width: toCount(pixels.SizeX),
+      height: toCount(pixels.SizeY),
+      sizes,
+      channels: Array.from({ length: sizes.c }, (value, c) => ({
+        name: channels[c] ? channels[c].name : `Channel ${c}`,
+        color: (channels[c] && channels[c].color) || DEFAULT_CHANNEL_COLORS[c % DEFAULT_CHANNEL_COLORS.length]
+      })),
+      planes
+    });
+  }
+
+  return images;
+}
+
+module.exports = {
+  parseOmeXml
+};
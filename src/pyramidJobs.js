@@ -0,0 +1,242 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Minimum interval between progress writes to the jobs file
+const SAVE_INTERVAL_MS = 2000;
+
+// Job states that still need work after a restart
+const ACTIVE_STATES = ['queued', 'running'];
+
+/**
+ * PyramidJobQueue renders complete tile pyramids in the background.
+ * Jobs run one at a time, are persisted to disk so they resume after a
+ * restart, and emit 'progress' events ({ imageId, job }) for SSE clients.
+ */
+class PyramidJobQueue extends EventEmitter {
+  constructor(tileGenerator, jobsFile) {
+    super();
+    this.setMaxListeners(0); // One listener per open SSE stream
+    this.tileGenerator = tileGenerator;
+    this.jobsFile = jobsFile;
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = null;
+    this.runningImageId = null;
+    this.lastSavedAt = 0;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load persisted jobs and resume any that were interrupted
+   */
+  async init() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.jobsFile, 'utf8'));
+      for (const job of saved) {
+        this.jobs.set(job.imageId, job);
+        if (ACTIVE_STATES.includes(job.status)) {
+          job.status = 'queued';
+          this.queue.push(job.imageId);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Could not load pyramid jobs:', error.message);
+      }
+    }
+
+    this.processQueue();
+  }
+
+  /**
+   * Get the job for an image
+   * @param {string} imageId - Image ID
+   * @returns {Object|null} Job state
+   */
+  getJob(imageId) {
+    return this.jobs.get(imageId) || null;
+  }
+
+  /**
+   * Queue a pyramid pre-generation job (no-op if one is already active)
+   * @param {string} imageId - Image ID
+   * @param {number} seriesIndex - Series to render
+   * @returns {Promise<Object>} Job state
+   */
+  async enqueue(imageId, seriesIndex = 0) {
+    const existing = this.jobs.get(imageId);
+    if (existing && ACTIVE_STATES.includes(existing.status)) {
+      return existing;
+    }
+
+    // Fail early on unknown images or series
+    const metadata = await this.tileGenerator.getMetadataById(imageId);
+    this.tileGenerator.getSeries(metadata, seriesIndex);
+
+    const job = {
+      imageId,
+      series: seriesIndex,
+      status: 'queued',
+      percent: 0,
+      tilesDone: 0,
+      tilesTotal: 0,
+      currentLevel: null,
+      levels: [],
+      error: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    this.jobs.set(imageId, job);
+    this.queue.push(imageId);
+
+    await this.save(true);
+    this.emitProgress(job);
+    this.processQueue();
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object|null>} Job state
+   */
+  async cancel(imageId) {
+    const job = this.jobs.get(imageId);
+    if (!job || !ACTIVE_STATES.includes(job.status)) {
+      return job || null;
+    }
+
+    // A running job notices the status change between tiles
+    this.queue = this.queue.filter(id => id !== imageId);
+    this.updateJob(job, { status: 'cancelled' });
+    await this.save(true);
+    return job;
+  }
+
+  /**
+   * Forget the job of an image
+   * @param {string} imageId - Image ID
+   */
+  async remove(imageId) {
+    await this.cancel(imageId);
+    // Let the tile in flight finish so it is not written after the caller cleans up
+    if (this.running && this.runningImageId === imageId) {
+      await this.running;
+    }
+    this.jobs.delete(imageId);
+    await this.save(true);
+  }
+
+  /**
+   * Start the next queued job if nothing is running
+   */
+  processQueue() {
+    if (this.running || this.queue.length === 0) return;
+
+    const imageId = this.queue.shift();
+    const job = this.jobs.get(imageId);
+    if (!job || job.status !== 'queued') {
+      this.processQueue();
+      return;
+    }
+
+    this.runningImageId = imageId;
+    this.running = this.runJob(job)
+      .catch((error) => {
+        console.error(`Pyramid job failed for ${imageId}:`, error);
+        this.updateJob(job, { status: 'failed', error: error.message });
+      })
+      .then(() => this.save(true))
+      .finally(() => {
+        this.running = null;
+        this.runningImageId = null;
+        this.processQueue();
+      });
+  }
+
+  /**
+   * Render every tile of every level
+   * With the 'children' pyramid strategy the finest level goes first, so every
+   * coarser level is composed from the cached level below it instead of the
+   * source; otherwise the coarsest level goes first. Tiles that are already
+   * cached are skipped, which is what makes resuming after a restart cheap.
+   * @param {Object} job - Job state
+   */
+  async runJob(job) {
+    const metadata = await this.tileGenerator.getMetadataById(job.imageId);
+    const series = this.tileGenerator.getSeries(metadata, job.series);
+    const levelCount = this.tileGenerator.calculateLevels(series.width, series.height);
+    const { tileSize } = await this.tileGenerator.getTileLayout(job.imageId);
+
+    const levels = [];
+    for (let level = 0; level < levelCount; level++) {
+      const grid = this.tileGenerator.getLevelGrid(series.width, series.height, level, tileSize);
+      levels.push({ level, done: 0, total: grid.columns * grid.rows, grid });
+    }
+
+    this.updateJob(job, {
+      status: 'running',
+      tilesDone: 0,
+      tilesTotal: levels.reduce((sum, level) => sum + level.total, 0),
+      levels: levels.map(({ level, done, total }) => ({ level, done, total }))
+    });
+
+    const order = this.tileGenerator.pyramidStrategy === 'children' ? [...levels].reverse() : levels;
+    for (const { level, grid } of order) {
+      for (let y = 0; y < grid.rows; y++) {
+        for (let x = 0; x < grid.columns; x++) {
+          if (job.status !== 'running') return;
+
+          await this.tileGenerator.generateTileOnDemand(job.imageId, level, x, y, job.series);
+
+          job.levels[level].done++;
+          this.updateJob(job, { tilesDone: job.tilesDone + 1, currentLevel: level });
+          await this.save();
+        }
+      }
+    }
+
+    this.updateJob(job, { status: 'completed', currentLevel: null });
+  }
+
+  updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    job.percent = job.tilesTotal > 0
+      ? Math.floor((job.tilesDone / job.tilesTotal) * 100)
+      : 0;
+    if (job.status === 'completed') {
+      job.percent = 100;
+    }
+    this.emitProgress(job);
+  }
+
+  emitProgress(job) {
+    this.emit('progress', { imageId: job.imageId, job });
+  }
+
+  /**
+   * Persist all jobs, throttled unless forced
+   * @param {boolean} force - Write even if the last save was recent
+   */
+  async save(force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastSavedAt < SAVE_INTERVAL_MS) return;
+    this.lastSavedAt = now;
+
+    // Chain writes so concurrent saves never race on the temp file
+    this.saving = this.saving
+      .then(async () => {
+        const tempFile = `${this.jobsFile}.tmp`;
+        await fs.mkdir(path.dirname(this.jobsFile), { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify([...this.jobs.values()], null, 2));
+        await fs.rename(tempFile, this.jobsFile);
+      })
+      .catch((error) => {
+        console.error('Could not save pyramid jobs:', error.message);
+      });
+    return this.saving;
+  }
+}
+
+module.exports = PyramidJobQueue;
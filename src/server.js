@@ -1,24 +1,95 @@
 const express = require('express');
+const fs = require('fs').promises;
 const path = require('path');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const TileGenerator = require('./tileGenerator');
+const PyramidJobQueue = require('./pyramidJobs');
+const ChunkedUploadStore = require('./chunkedUploads');
+const UserStore = require('./userStore');
+const ShareLinkSigner = require('./shareLinks');
+const IngestQueue = require('./ingestQueue');
+const iiif = require('./iiif');
+const { uploadError } = require('./uploadValidation');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize tile generator
+// Initialize tile generator (TILE_CACHE_MAX_GB bounds the tile cache on disk; unset = unlimited;
+// PYRAMID_STRATEGY=source disables building coarser tiles from cached finer ones)
 const uploadsDir = path.join(__dirname, '../uploads');
-const tileGenerator = new TileGenerator(uploadsDir);
+const tileGenerator = new TileGenerator(uploadsDir, {
+  tileCacheMaxBytes: Math.round((parseFloat(process.env.TILE_CACHE_MAX_GB) || 0) * 1024 * 1024 * 1024),
+  pyramidStrategy: process.env.PYRAMID_STRATEGY || 'children'
+});
+
+// Background pyramid pre-generation (persisted so jobs resume after a restart)
+const pyramidJobs = new PyramidJobQueue(tileGenerator, path.join(uploadsDir, 'jobs.json'));
+
+// Upload limits shared by single-request and chunked uploads
+const MAX_UPLOAD_SIZE = 15 * 1024 * 1024 * 1024; // 15GB limit
+const allowedExtensions = ['.tif', '.tiff', '.scn'];
+
+// Tile URLs carrying the current tiles version (?v=) never change
+const TILE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Resumable chunked uploads for multi-gigabyte slides
+const chunkedUploads = new ChunkedUploadStore(uploadsDir, MAX_UPLOAD_SIZE);
+
+// Slides already on the server's disk: a watch directory (WATCH_DIR, ingested by
+// WATCH_MODE=reference|move once unchanged for WATCH_SETTLE_SECONDS, owned by
+// WATCH_OWNER) and admin imports (limited to IMPORT_DIRS when set)
+const ingestQueue = new IngestQueue(tileGenerator, path.join(uploadsDir, 'ingest.json'), {
+  watchDir: process.env.WATCH_DIR || null,
+  mode: process.env.WATCH_MODE || 'reference',
+  owner: process.env.WATCH_OWNER || null,
+  settleMs: (parseFloat(process.env.WATCH_SETTLE_SECONDS) || 0) * 1000,
+  importDirs: (process.env.IMPORT_DIRS || '').split(path.delimiter).filter(Boolean),
+  extensions: allowedExtensions
+});
+
+// Local accounts, API tokens and browser sessions
+const userStore = new UserStore(path.join(uploadsDir, 'users.json'));
+
+// Browser sessions are carried in this cookie; scripts send a bearer token instead
+const SESSION_COOKIE = 'session';
+
+// Sign-in backoff per client address: after LOGIN_FREE_ATTEMPTS failures in a
+// row, each further failure doubles the wait (up to LOGIN_MAX_DELAY_MS)
+const LOGIN_FREE_ATTEMPTS = 5;
+const LOGIN_BASE_DELAY_MS = 1000;
+const LOGIN_MAX_DELAY_MS = 15 * 60 * 1000;
+// Client address -> { failures, lastFailure, retryAt }
+const loginFailures = new Map();
+
+// First-run setup in progress; a concurrent request must not create a second admin
+let pendingSetup = null;
+
+// Signed, expiring links to one image for people without an account (?share=<token>)
+const shareLinks = new ShareLinkSigner(path.join(uploadsDir, 'share-secret'), process.env.SHARE_LINK_SECRET);
 
-// Initialize directories
-tileGenerator.init().catch(console.error);
+// The only endpoints a share link opens (GET): its description, the
+// descriptor, tiles and thumbnail
+const SHARE_LINK_ROUTES = [
+  /^\/api\/share$/,
+  /^\/api\/image\/[^/]+\.dzi$/,
+  /^\/api\/image\/[^/]+_files\/\d+\/[^/]+$/,
+  /^\/api\/images\/[^/]+\/thumbnail$/
+];
+
+// Initialize directories, then resume interrupted jobs
+tileGenerator.init()
+  .then(() => chunkedUploads.init())
+  .then(() => userStore.init())
+  .then(() => shareLinks.init())
+  .then(() => pyramidJobs.init())
+  .then(() => ingestQueue.init())
+  .catch(console.error);
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
     const tempDir = path.join(uploadsDir, 'temp');
-    const fs = require('fs').promises;
     await fs.mkdir(tempDir, { recursive: true });
     cb(null, tempDir);
   },
@@ -31,50 +102,668 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 15 * 1024 * 1024 * 1024 // 15GB limit
+    fileSize: MAX_UPLOAD_SIZE
   },
   fileFilter: (req, file, cb) => {
-    const allowedExtensions = ['.tif', '.tiff', '.scn'];
     const ext = path.extname(file.originalname).toLowerCase();
     if (allowedExtensions.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Only TIFF and SCN files are allowed'));
+      cb(uploadError('UNSUPPORTED_EXTENSION', 'Only TIFF and SCN files are allowed'));
     }
   }
 });
 
+/**
+ * Receive a single-request upload, reporting multer failures as upload errors
+ */
+function receiveUpload(req, res, next) {
+  upload.single('image')(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      error = uploadError('FILE_TOO_LARGE', `File exceeds the ${MAX_UPLOAD_SIZE / 1024 ** 3} GB upload limit`);
+    } else if (error instanceof multer.MulterError) {
+      error = uploadError('INVALID_UPLOAD', error.message);
+    }
+    sendUploadError(res, error);
+  });
+}
+
+/**
+ * Send an upload error as { error, code, details }; unexpected errors are
+ * logged and reported as INTERNAL_ERROR
+ */
+function sendUploadError(res, error) {
+  if (!error.httpStatus) {
+    console.error('Upload error:', error);
+    error = uploadError('INTERNAL_ERROR', 'The upload could not be processed');
+  }
+  res.status(error.httpStatus).json({
+    error: error.message,
+    code: error.code,
+    details: error.details || undefined
+  });
+}
+
+/**
+ * Read a cookie from the request headers
+ */
+function readCookie(req, name) {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Identify the caller from an "Authorization: Bearer" token (API token or
+ * session) or the session cookie; req.user is null for anonymous requests
+ */
+function authenticate(req, res, next) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  req.user = userStore.authenticate(match ? match[1] : readCookie(req, SESSION_COOKIE));
+  req.share = req.query.share ? shareLinks.verify(req.query.share) : null;
+  next();
+}
+
+/**
+ * Whether a share link may open this request (GET on SHARE_LINK_ROUTES)
+ */
+function isShareLinkRoute(req) {
+  return req.method === 'GET' && SHARE_LINK_ROUTES.some(route => route.test(req.baseUrl + req.path));
+}
+
+/**
+ * Reject anonymous requests (CORS preflights carry no credentials and pass);
+ * a valid share link opens the share link routes
+ */
+function requireUser(req, res, next) {
+  if (req.user || req.method === 'OPTIONS') {
+    return next();
+  }
+  if (req.share && isShareLinkRoute(req)) {
+    return next();
+  }
+  if (req.query.share && !req.share) {
+    return res.status(401).json({ error: 'This share link is invalid or has expired' });
+  }
+  res.status(401).json({ error: 'Authentication required' });
+}
+
+/**
+ * Send a tile through a share link: tiles of the main series up to the
+ * link's maximum level, or tiles of its region served as an image of its own
+ */
+async function sendSharedTile(req, res, imageId, level, x, y, format) {
+  const share = req.shareLink;
+  const encoding = await tileGenerator.getTileEncoding(imageId, format);
+  if (!share.region) {
+    if (share.maxLevel !== null && level > share.maxLevel) {
+      return res.status(403).json({ error: 'This share link does not allow zooming in further' });
+    }
+    return sendTile(req, res, imageId, 0, level, x, y, encoding);
+  }
+  
+  const tilePath = await tileGenerator.generateSharedTile(imageId, share, level, x, y, encoding);
+  if (!tilePath) {
+    return res.status(404).json({ error: 'Tile not found' });
+  }
+  res.set('Cache-Control', 'private, no-cache');
+  res.type(encoding.mimeType);
+  res.sendFile(tilePath, { cacheControl: false });
+}
+
+/**
+ * Make clients revalidate every time (Express answers a matching If-None-Match with 304)
+ */
+function revalidate(req, res, next) {
+  res.set('Cache-Control', 'no-cache');
+  next();
+}
+
+/**
+ * Reject callers that are not admins
+ */
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+/**
+ * Reject changes to an image by accounts it is only shared with
+ */
+function requireImageOwner(req, res, next) {
+  if (!tileGenerator.canManageImage(req.params.id, req.user)) {
+    return res.status(403).json({ error: 'Only the owner of an image or an admin can change it' });
+  }
+  next();
+}
+
+/**
+ * Count a failed sign-in and start the client's backoff once it runs out of free attempts
+ */
+function recordLoginFailure(address) {
+  const now = Date.now();
+  // Forget clients that have been quiet for longer than the longest wait
+  for (const [key, entry] of loginFailures) {
+    if (now - entry.lastFailure > LOGIN_MAX_DELAY_MS) {
+      loginFailures.delete(key);
+    }
+  }
+  
+  const entry = loginFailures.get(address) || { failures: 0, lastFailure: now, retryAt: 0 };
+  entry.failures++;
+  entry.lastFailure = now;
+  if (entry.failures >= LOGIN_FREE_ATTEMPTS) {
+    entry.retryAt = now + Math.min(LOGIN_BASE_DELAY_MS * 2 ** (entry.failures - LOGIN_FREE_ATTEMPTS), LOGIN_MAX_DELAY_MS);
+  }
+  loginFailures.set(address, entry);
+}
+
+/**
+ * Set or clear the session cookie
+ */
+function setSessionCookie(req, res, token, maxAge) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+    maxAge
+  });
+}
+
+/**
+ * Read the optional ?series= query parameter (defaults to the first series)
+ */
+function parseSeries(req) {
+  const series = parseInt(req.query.series || '0', 10);
+  return Number.isNaN(series) || series < 0 ? 0 : series;
+}
+
+/**
+ * Send a tile (generated on demand) with its ETag and cache headers
+ */
+async function sendTile(req, res, imageId, seriesIndex, level, x, y, encoding, rendering = undefined, color = null, plane = null) {
+  // Generate tile on-demand (null outside the pyramid)
+  const tilePath = await tileGenerator.generateTileOnDemand(imageId, level, x, y, seriesIndex, encoding, rendering, color, plane);
+  if (!tilePath) {
+    return res.status(404).json({ error: 'Tile not found' });
+  }
+  
+  // Tiles never change under a versioned URL; unversioned URLs must revalidate
+  const etag = tileGenerator.getTileETag(imageId, seriesIndex, level, x, y, encoding, rendering, color, plane);
+  if (etag) {
+    const immutable = req.query.v === String(tileGenerator.getTilesVersion(imageId));
+    res.set({
+      'ETag': etag,
+      'Cache-Control': immutable ? TILE_CACHE_CONTROL : 'no-cache'
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+  }
+  
+  // Serve the tile (headers set above take precedence over send's defaults)
+  res.type(encoding.mimeType);
+  res.sendFile(tilePath, { etag: false, lastModified: false, cacheControl: false });
+}
+
+/**
+ * Image list entry for a file that has not become an image yet (queued, running or failed ingestion)
+ */
+function describeIngestionJob(job) {
+  return {
+    id: job.id,
+    originalName: path.basename(job.path),
+    fileSize: job.size,
+    uploader: job.uploader,
+    owner: job.owner,
+    ingestion: {
+      source: job.source,
+      mode: job.mode,
+      path: job.path,
+      status: job.status,
+      error: job.error
+    },
+    uploadedAt: job.createdAt
+  };
+}
+
+/**
+ * Pick the tile settings sent along with an upload
+ */
+function parseUploadSettings(body) {
+  const settings = {};
+  if (body.tileFormat) settings.tileFormat = body.tileFormat;
+  if (body.tileQuality) settings.tileQuality = body.tileQuality;
+  if (body.tileSize) settings.tileSize = body.tileSize;
+  if (body.tileOverlap) settings.tileOverlap = body.tileOverlap;
+  return settings;
+}
+
+/**
+ * Register an uploaded file and optionally queue pyramid pre-generation
+ * (the file is deleted when it is rejected)
+ */
+async function completeUpload(filePath, settings, pregenerate, source) {
+  const imageId = uuidv4();
+  let info;
+  try {
+    info = await tileGenerator.processUpload(imageId, filePath, settings, source);
+  } catch (error) {
+    await fs.rm(filePath, { force: true });
+    throw error;
+  }
+
+  // Optionally render the whole pyramid in the background
+  let job = null;
+  if (pregenerate) {
+    job = await pyramidJobs.enqueue(imageId);
+  }
+
+  return {
+    success: true,
+    imageId: imageId,
+    info: info,
+    job: job
+  };
+}
+
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, '../public')));
 app.use(express.json());
+app.use(authenticate);
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', message: 'Server is running' });
+});
+
+// Sign in with a username and password; starts a browser session (cookie) and returns its token
+app.post('/api/auth/login', async (req, res) => {
+  const failures = loginFailures.get(req.ip);
+  if (failures && failures.retryAt > Date.now()) {
+    const seconds = Math.ceil((failures.retryAt - Date.now()) / 1000);
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({ error: `Too many failed sign-ins; try again in ${seconds} s` });
+  }
+  
+  try {
+    const user = await userStore.verifyPassword(req.body && req.body.username, req.body && req.body.password);
+    if (!user) {
+      recordLoginFailure(req.ip);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    loginFailures.delete(req.ip);
+    const session = await userStore.createSession(user.username);
+    setSessionCookie(req, res, session.token, UserStore.SESSION_TTL_MS);
+    res.json({ user, token: session.token, expiresAt: session.expiresAt });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// File upload endpoint
-app.post('/api/upload', upload.single('image'), async (req, res) => {
+// Create the first (admin) account; only possible while no account exists
+app.post('/api/auth/setup', async (req, res) => {
+  if (userStore.hasUsers() || pendingSetup) {
+    return res.status(409).json({ error: 'Accounts already exist; sign in instead' });
+  }
+  
+  let user;
+  try {
+    pendingSetup = userStore.createUser({ username: req.body.username, password: req.body.password, role: 'admin' });
+    user = await pendingSetup;
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  } finally {
+    pendingSetup = null;
+  }
+  
+  try {
+    const session = await userStore.createSession(user.username);
+    setSessionCookie(req, res, session.token, UserStore.SESSION_TTL_MS);
+    res.status(201).json({ user, token: session.token, expiresAt: session.expiresAt });
+  } catch (error) {
+    console.error('Setup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The signed-in account; 401 tells the viewer to show its login screen
+app.get('/api/auth/me', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required', setupRequired: !userStore.hasUsers() });
+  }
+  res.json({ user: req.user });
+});
+
+// IIIF responses carry CORS headers, including authentication failures and preflights
+app.use('/iiif/3', (req, res, next) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  // Clients on other origins authenticate with a bearer token
+  res.set('Access-Control-Allow-Headers', 'Authorization');
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+  next();
+});
+
+// Every other API and IIIF endpoint needs an account
+app.use(['/api', '/iiif'], requireUser);
+
+// End the browser session
+app.post('/api/auth/logout', async (req, res) => {
+  const token = readCookie(req, SESSION_COOKIE);
+  if (token) {
+    await userStore.removeSession(token);
+  }
+  setSessionCookie(req, res, '', 0);
+  res.status(204).end();
+});
+
+// Change the caller's password (ends their browser sessions)
+app.post('/api/auth/password', async (req, res) => {
+  if (!(await userStore.verifyPassword(req.user.username, req.body.currentPassword))) {
+    return res.status(403).json({ error: 'Current password is wrong' });
+  }
+  try {
+    await userStore.setPassword(req.user.username, req.body.newPassword);
+    res.status(204).end();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// API tokens of the caller, for scripts (the token itself is only shown when created)
+app.get('/api/tokens', (req, res) => {
+  res.json(userStore.listTokens(req.user.username));
+});
+
+app.post('/api/tokens', async (req, res) => {
+  try {
+    res.status(201).json(await userStore.createToken(req.user.username, req.body && req.body.name));
+  } catch (error) {
+    console.error('Token error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/tokens/:tokenId', async (req, res) => {
+  try {
+    await userStore.removeToken(req.user.username, req.params.tokenId);
+    res.status(204).end();
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Account management (admins only)
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json(userStore.listUsers());
+});
+
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(await userStore.createUser({
+      username: req.body.username,
+      password: req.body.password,
+      role: req.body.role
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:username', requireAdmin, async (req, res) => {
+  if (req.params.username === req.user.username) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+  try {
+    await userStore.removeUser(req.params.username);
+    res.status(204).end();
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Images are only visible to their owner, accounts they are shared with and
+// admins; to everyone else they do not exist
+app.param(['id', 'imageId', 'imageIdWithFiles'], (req, res, next, value) => {
+  const imageId = String(value).replace(/_files$/, '');
+  req.shareLink = null;
+  if (tileGenerator.canAccessImage(imageId, req.user)) {
+    return next();
+  }
+  // Share links open one image, with the link's restrictions, on the share link routes only
+  if (req.share && req.share.imageId === imageId && isShareLinkRoute(req)) {
+    req.shareLink = req.share;
+    return next();
+  }
+  res.status(404).json({ error: 'Image not found' });
+});
+
+// Chunked uploads belong to the account that started them
+app.param('uploadId', async (req, res, next, uploadId) => {
+  let manifest;
+  try {
+    manifest = await chunkedUploads.getManifest(uploadId);
+  } catch (error) {
+    // Unknown uploads are reported by the route
+    return next();
+  }
+  if (manifest.owner !== req.user.username && req.user.role !== 'admin') {
+    return sendUploadError(res, uploadError('UPLOAD_NOT_FOUND', `Upload not found: ${uploadId}`));
+  }
+  next();
+});
+
+// File upload endpoint (errors: { error, code, details }, see uploadValidation.js)
+app.post('/api/upload', receiveUpload, async (req, res) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+      return sendUploadError(res, uploadError('NO_FILE', 'No file uploaded'));
     }
 
-    const imageId = uuidv4();
-    const info = await tileGenerator.processUpload(imageId, req.file.path);
+    const result = await completeUpload(
+      req.file.path,
+      parseUploadSettings(req.body),
+      req.body.pregenerate === 'true',
+      { originalName: req.file.originalname, uploader: req.ip, owner: req.user.username }
+    );
+    res.json(result);
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+// Resumable uploads: init → PUT chunks (with X-Chunk-Checksum: sha256 hex) → finalize
+app.post('/api/uploads', async (req, res) => {
+  try {
+    const ext = path.extname(req.body.fileName || '').toLowerCase();
+    if (!allowedExtensions.includes(ext)) {
+      return sendUploadError(res, uploadError('UNSUPPORTED_EXTENSION', 'Only TIFF and SCN files are allowed'));
+    }
 
-    res.json({
-      success: true,
-      imageId: imageId,
-      info: info
+    const status = await chunkedUploads.create(uuidv4(), {
+      owner: req.user.username,
+      fileName: req.body.fileName,
+      fileSize: req.body.fileSize,
+      chunkSize: req.body.chunkSize,
+      settings: {
+        ...parseUploadSettings(req.body),
+        pregenerate: req.body.pregenerate === true || req.body.pregenerate === 'true'
+      }
     });
+    res.status(201).json(status);
   } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: error.message });
+    sendUploadError(res, uploadError('INVALID_UPLOAD', error.message));
+  }
+});
+
+// Chunked upload status (which chunks the server already has)
+app.get('/api/uploads/:uploadId', async (req, res) => {
+  try {
+    res.json(await chunkedUploads.getStatus(req.params.uploadId));
+  } catch (error) {
+    sendUploadError(res, uploadError('UPLOAD_NOT_FOUND', error.message));
   }
 });
 
+// Upload one chunk as a raw request body
+app.put(
+  '/api/uploads/:uploadId/chunks/:index',
+  express.raw({ type: () => true, limit: ChunkedUploadStore.MAX_CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      await chunkedUploads.getManifest(req.params.uploadId);
+    } catch (error) {
+      return sendUploadError(res, uploadError('UPLOAD_NOT_FOUND', error.message));
+    }
+
+    try {
+      const status = await chunkedUploads.writeChunk(
+        req.params.uploadId,
+        parseInt(req.params.index, 10),
+        req.body,
+        req.get('X-Chunk-Checksum')
+      );
+      res.json(status);
+    } catch (error) {
+      sendUploadError(res, uploadError('INVALID_CHUNK', error.message));
+    }
+  }
+);
+
+// Reassemble the chunks and register the image
+app.post('/api/uploads/:uploadId/finalize', async (req, res) => {
+  try {
+    await chunkedUploads.getManifest(req.params.uploadId);
+  } catch (error) {
+    return sendUploadError(res, uploadError('UPLOAD_NOT_FOUND', error.message));
+  }
+
+  let upload;
+  try {
+    upload = await chunkedUploads.finalize(req.params.uploadId);
+  } catch (error) {
+    if (error.status) {
+      // status repeats details for clients written before error codes
+      return res.status(409).json({
+        error: error.message,
+        code: 'UPLOAD_INCOMPLETE',
+        details: error.status,
+        status: error.status
+      });
+    }
+    return sendUploadError(res, uploadError('INVALID_UPLOAD', error.message));
+  }
+
+  try {
+    const { pregenerate, ...settings } = upload.settings;
+    res.json(await completeUpload(upload.path, settings, pregenerate, {
+      originalName: upload.fileName,
+      uploader: req.ip,
+      owner: upload.owner || req.user.username
+    }));
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
 
+// Abort a chunked upload
+app.delete('/api/uploads/:uploadId', async (req, res) => {
+  try {
+    await chunkedUploads.getManifest(req.params.uploadId);
+    await chunkedUploads.remove(req.params.uploadId);
+    res.status(204).end();
+  } catch (error) {
+    sendUploadError(res, uploadError('UPLOAD_NOT_FOUND', error.message));
+  }
+});
 
+// Import a slide that is on the server's disk (admins only):
+// { path, mode: 'reference' | 'move', owner, tileFormat, tileQuality, tileSize, tileOverlap }
+app.post('/api/ingest', requireAdmin, async (req, res) => {
+  try {
+    const owner = req.body.owner || req.user.username;
+    if (!userStore.getUser(owner)) {
+      return res.status(400).json({ error: `Unknown user: ${owner}` });
+    }
+    const job = await ingestQueue.importFile(req.body.path, {
+      mode: req.body.mode,
+      owner,
+      uploader: req.user.username,
+      settings: parseUploadSettings(req.body)
+    });
+    res.status(202).json(job);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
+// Watch directory settings and ingestion jobs, newest first (admins only)
+app.get('/api/ingest', requireAdmin, (req, res) => {
+  res.json({
+    watchDir: ingestQueue.watchDir,
+    mode: ingestQueue.mode,
+    jobs: ingestQueue.listJobs()
+  });
+});
 
+app.get('/api/ingest/:jobId', requireAdmin, (req, res) => {
+  const job = ingestQueue.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Ingestion job not found: ${req.params.jobId}` });
+  }
+  res.json(job);
+});
 
-// Serve tiles using DZI standard URL pattern: {imageId}_files/{level}/{x}_{y}.jpeg
+// Dismiss a failed ingestion job (its file is not retried until it changes)
+app.delete('/api/ingest/:jobId', requireAdmin, async (req, res) => {
+  const job = ingestQueue.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Ingestion job not found: ${req.params.jobId}` });
+  }
+  if (job.status !== 'failed') {
+    return res.status(409).json({ error: 'Only failed ingestion jobs can be dismissed' });
+  }
+  
+  try {
+    await ingestQueue.dismissJob(job.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Dismiss ingestion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+
+// Serve the Deep Zoom descriptor: {imageId}.dzi[?series=N]
+app.get('/api/image/:imageId.dzi', revalidate, async (req, res) => {
+  try {
+    // Share links describe the image they expose
+    const size = req.shareLink ? await tileGenerator.getShareViewById(req.params.imageId, req.shareLink) : null;
+    const descriptor = await tileGenerator.getDziDescriptor(
+      req.params.imageId,
+      req.shareLink ? 0 : parseSeries(req),
+      req.query.format,
+      size
+    );
+    res.type('application/xml').send(descriptor);
+  } catch (error) {
+    console.error('Descriptor error:', error);
+    res.status(404).json({ error: 'Image not found' });
+  }
+});
+
+// Serve tiles using DZI standard URL pattern: {imageId}_files/{level}/{x}_{y}.{jpeg|png|webp|avif}[?series=N&quality=Q&channels=...&color=srgb|p3|raw&c=&z=&t=]
 app.get('/api/image/:imageIdWithFiles/:level/:tile', async (req, res) => {
   try {
     const { imageIdWithFiles, level, tile } = req.params;
@@ -82,8 +771,8 @@ app.get('/api/image/:imageIdWithFiles/:level/:tile', async (req, res) => {
     // Remove '_files' suffix from imageId
     const imageId = imageIdWithFiles.replace(/_files$/, '');
     
-    // Parse tile coordinates from filename (e.g., "0_0.jpeg")
-    const match = tile.match(/^(\d+)_(\d+)\.(jpg|jpeg)$/);
+    // Parse tile coordinates and encoding from filename (e.g., "0_0.jpeg")
+    const match = tile.match(/^(\d+)_(\d+)\.(jpg|jpeg|png|webp|avif)$/);
     if (!match) {
       return res.status(400).json({ error: 'Invalid tile format' });
     }
@@ -91,22 +780,56 @@ app.get('/api/image/:imageIdWithFiles/:level/:tile', async (req, res) => {
     const x = parseInt(match[1]);
     const y = parseInt(match[2]);
     const levelNum = parseInt(level);
-
-    // Generate tile on-demand
-    const tilePath = await tileGenerator.generateTileOnDemand(imageId, levelNum, x, y);
     
-    // Serve the tile
-    res.sendFile(tilePath);
+    // Share links serve the default rendering of the main series
+    if (req.shareLink) {
+      return await sendSharedTile(req, res, imageId, levelNum, x, y, match[3]);
+    }
+
+    let encoding;
+    let rendering;
+    let color;
+    let plane;
+    try {
+      encoding = await tileGenerator.getTileEncoding(imageId, match[3], req.query.quality);
+      // Channel, Z-plane and time point of OME-TIFF images
+      plane = await tileGenerator.getPlane(imageId, parseSeries(req), req.query);
+      // Channel selection, colors and windows for high-bit-depth and multi-channel images
+      if (req.query.channels !== undefined) {
+        rendering = await tileGenerator.getChannelRendering(imageId, parseSeries(req), req.query.channels, plane);
+      }
+      // Output color space for images with an embedded ICC profile (raw = device colors)
+      color = await tileGenerator.getColorManagement(imageId, parseSeries(req), req.query.color);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await sendTile(req, res, imageId, parseSeries(req), levelNum, x, y, encoding, rendering, color, plane);
   } catch (error) {
     console.error('Tile error:', error);
     res.status(404).json({ error: 'Tile not found' });
   }
 });
 
-// List all uploaded images
-app.get('/api/images', async (req, res) => {
+// List uploaded images (?search=&sort=&order=&page=&pageSize=); total matches in X-Total-Count
+app.get('/api/images', revalidate, async (req, res) => {
   try {
-    const images = await tileGenerator.listImages();
+    const { images, total } = await tileGenerator.listImages({
+      search: req.query.search,
+      sort: req.query.sort,
+      order: req.query.order,
+      page: req.query.page,
+      pageSize: req.query.pageSize,
+      // Admins see every image, everyone else their own and those shared with them
+      username: req.user.role === 'admin' ? null : req.user.username,
+      // Slides still being ingested from the server's disk, or rejected, are listed with the images
+      pending: ingestQueue.listOpenJobs().map(describeIngestionJob)
+    });
+    res.set('X-Total-Count', String(total));
+    images.forEach((image) => {
+      const job = pyramidJobs.getJob(image.id);
+      image.pregeneration = job ? { status: job.status, percent: job.percent } : null;
+    });
     res.json(images);
   } catch (error) {
     console.error('List error:', error);
@@ -114,9 +837,434 @@ app.get('/api/images', async (req, res) => {
   }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Server is running' });
+// Change the owner of an image (admins) or the accounts it is shared with: { owner, grants: [username] }
+app.patch('/api/images/:id/access', requireImageOwner, async (req, res) => {
+  try {
+    const { owner, grants } = req.body;
+    if (owner !== undefined && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can change the owner of an image' });
+    }
+    const unknown = [owner, ...(Array.isArray(grants) ? grants : [])]
+      .filter(username => typeof username === 'string' && !userStore.getUser(username));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown user: ${unknown.join(', ')}` });
+    }
+    res.json(await tileGenerator.updateImageAccess(req.params.id, { owner, grants }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Mint a share link: { expiresIn (seconds), maxLevel, region: { x, y, width, height } }, all optional
+app.post('/api/images/:id/share', requireImageOwner, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const scope = await tileGenerator.resolveShareScope(req.params.id, body);
+    const link = shareLinks.sign({ imageId: req.params.id, expiresIn: body.expiresIn, ...scope });
+    res.status(201).json({
+      ...link,
+      url: `${req.protocol}://${req.get('host')}/share.html?token=${encodeURIComponent(link.token)}`,
+      ...scope
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// What a share link opens: image, exposed size, expiry and restrictions
+app.get('/api/share', async (req, res) => {
+  if (!req.share) {
+    return res.status(400).json({ error: 'share is missing, invalid or expired' });
+  }
+  
+  const record = tileGenerator.catalog.get(req.share.imageId);
+  if (!record) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
+  try {
+    const view = await tileGenerator.getShareViewById(req.share.imageId, req.share);
+    res.json({
+      imageId: record.id,
+      name: record.name || record.originalName,
+      width: view.width,
+      height: view.height,
+      expiresAt: req.share.expiresAt,
+      maxLevel: req.share.maxLevel,
+      region: req.share.region
+    });
+  } catch (error) {
+    console.error('Share error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update display name, description and tags
+app.patch('/api/images/:id', requireImageOwner, async (req, res) => {
+  try {
+    await tileGenerator.resolveImagePath(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
+  try {
+    const { name, description, tags } = req.body;
+    const settings = await tileGenerator.updateImageSettings(req.params.id, { name, description, tags });
+    res.json({
+      id: req.params.id,
+      name: settings.name,
+      description: settings.description,
+      tags: settings.tags
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete an image with its cached tiles, settings and pre-generation job
+app.delete('/api/images/:id', requireImageOwner, async (req, res) => {
+  try {
+    await tileGenerator.resolveImagePath(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
+  try {
+    await pyramidJobs.remove(req.params.id);
+    await tileGenerator.deleteImage(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Purge the tile cache of one image
+app.delete('/api/images/:id/tiles', requireImageOwner, async (req, res) => {
+  try {
+    await tileGenerator.resolveImagePath(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
+  try {
+    await pyramidJobs.remove(req.params.id);
+    await tileGenerator.purgeTiles(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Purge error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tile pyramid of a series (size, tile size, overlap and levels) for viewers
+app.get('/api/images/:id/pyramid', async (req, res) => {
+  try {
+    res.json(await tileGenerator.getPyramid(req.params.id, parseSeries(req)));
+  } catch (error) {
+    res.status(404).json({ error: error.message.startsWith('Series') ? error.message : 'Image not found' });
+  }
+});
+
+// Scanner metadata of an image: microns per pixel, objective, scanner, scan date and raw vendor properties
+app.get('/api/images/:id/metadata', async (req, res) => {
+  try {
+    await tileGenerator.resolveImagePath(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
+  try {
+    res.json(await tileGenerator.getVendorMetadata(req.params.id));
+  } catch (error) {
+    console.error('Metadata error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Thumbnail of an image, rendered from its lowest pyramid level and cached
+app.get('/api/images/:id/thumbnail', async (req, res) => {
+  try {
+    await tileGenerator.resolveImagePath(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
+  const size = req.query.size === undefined ? TileGenerator.DEFAULT_THUMBNAIL_SIZE : Number(req.query.size);
+  if (!Number.isInteger(size) || size < 16 || size > TileGenerator.MAX_THUMBNAIL_SIZE) {
+    return res.status(400).json({ error: `size must be an integer between 16 and ${TileGenerator.MAX_THUMBNAIL_SIZE}` });
+  }
+  
+  try {
+    // Share links show their region, no larger than their maximum level
+    let thumbnailPath;
+    if (req.shareLink) {
+      const view = await tileGenerator.getShareViewById(req.params.id, req.shareLink);
+      thumbnailPath = await tileGenerator.getThumbnail(
+        req.params.id,
+        Math.min(size, Math.max(view.width, view.height)),
+        req.shareLink.region
+      );
+    } else {
+      thumbnailPath = await tileGenerator.getThumbnail(req.params.id, size);
+    }
+    res.type('image/jpeg');
+    res.sendFile(thumbnailPath);
+  } catch (error) {
+    console.error('Thumbnail error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export a region in full-resolution coordinates at a chosen downsample
+app.get('/api/images/:id/region', async (req, res) => {
+  try {
+    await tileGenerator.resolveImagePath(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
+  let request;
+  try {
+    request = await tileGenerator.parseRegionRequest(req.params.id, req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const data = await tileGenerator.renderRegion(request);
+    const { left, top, width, height } = request.region;
+    res.type(request.mimeType);
+    res.attachment(`${req.params.id}_${left}_${top}_${width}x${height}.${request.extension}`);
+    res.send(data);
+  } catch (error) {
+    console.error('Region export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Label, macro and other associated images embedded as extra TIFF pages
+app.get('/api/images/:id/associated/:name', async (req, res) => {
+  try {
+    await tileGenerator.resolveImagePath(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
+  let imagePath;
+  try {
+    imagePath = await tileGenerator.getAssociatedImage(req.params.id, req.params.name);
+  } catch (error) {
+    if (error.message.startsWith('Associated image not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Associated image error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+  res.type('image/jpeg');
+  res.sendFile(imagePath);
+});
+
+// Tile cache size and hit/miss statistics, overall and per image
+app.get('/api/cache', requireAdmin, (req, res) => {
+  res.json(tileGenerator.tileCache.report());
+});
+
+// Tile cache size and hit/miss statistics for one image
+app.get('/api/images/:id/cache', async (req, res) => {
+  try {
+    await tileGenerator.resolveImagePath(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  res.json(tileGenerator.tileCache.report(req.params.id));
+});
+
+// Update per-image tile settings (format and quality)
+app.patch('/api/images/:id/settings', requireImageOwner, async (req, res) => {
+  try {
+    await tileGenerator.resolveImagePath(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
+  try {
+    const settings = await tileGenerator.updateImageSettings(req.params.id, {
+      tileFormat: req.body.tileFormat,
+      tileQuality: req.body.tileQuality,
+      tileSize: req.body.tileSize,
+      tileOverlap: req.body.tileOverlap
+    });
+    res.json(settings);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Queue background pyramid pre-generation for an image
+app.post('/api/images/:id/pregenerate', requireImageOwner, async (req, res) => {
+  try {
+    const series = parseInt((req.body && req.body.series) || '0', 10) || 0;
+    const job = await pyramidJobs.enqueue(req.params.id, series);
+    res.status(202).json(job);
+  } catch (error) {
+    console.error('Pregenerate error:', error);
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Poll pre-generation progress
+app.get('/api/images/:id/pregenerate', (req, res) => {
+  const job = pyramidJobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'No pre-generation job for this image' });
+  }
+  res.json(job);
+});
+
+// Stream pre-generation progress as Server-Sent Events
+app.get('/api/images/:id/pregenerate/events', (req, res) => {
+  const imageId = req.params.id;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  // Progress fires per tile; only forward changes a client can see
+  let lastSent = null;
+  const send = (job) => {
+    const summary = `${job.status}:${job.percent}:${job.currentLevel}`;
+    if (summary === lastSent) return;
+    lastSent = summary;
+    res.write(`data: ${JSON.stringify(job)}\n\n`);
+  };
+  const onProgress = (event) => {
+    if (event.imageId === imageId) {
+      send(event.job);
+    }
+  };
+  
+  const job = pyramidJobs.getJob(imageId);
+  if (job) {
+    send(job);
+  }
+  pyramidJobs.on('progress', onProgress);
+  req.on('close', () => {
+    pyramidJobs.off('progress', onProgress);
+  });
+});
+
+// Cancel pre-generation
+app.delete('/api/images/:id/pregenerate', requireImageOwner, async (req, res) => {
+  try {
+    const job = await pyramidJobs.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'No pre-generation job for this image' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Cancel pre-generation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// IIIF Image API 3.0 (https://iiif.io/api/image/3.0/) for the main series of each image
+// The base URI redirects to the image information
+app.get('/iiif/3/:id', (req, res) => {
+  res.redirect(303, `/iiif/3/${encodeURIComponent(req.params.id)}/info.json`);
+});
+
+app.get('/iiif/3/:id/info.json', async (req, res) => {
+  let metadata;
+  let layout;
+  try {
+    metadata = await tileGenerator.getMetadataById(req.params.id);
+    layout = await tileGenerator.getTileLayout(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
+  const series = tileGenerator.getSeries(metadata, 0);
+  const info = iiif.buildInfo(
+    `${req.protocol}://${req.get('host')}/iiif/3/${req.params.id}`,
+    series.width,
+    series.height,
+    layout.tileSize,
+    TileGenerator.MAX_REGION_SIZE
+  );
+  
+  // JSON-LD only for clients that ask for it
+  const jsonLd = req.accepts(['application/json', 'application/ld+json']) === 'application/ld+json';
+  res.set({
+    'Content-Type': jsonLd ? `application/ld+json;profile="${iiif.IIIF_CONTEXT}"` : 'application/json',
+    'Link': '<http://iiif.io/api/image/3/level2.json>;rel="profile"',
+    'Cache-Control': 'no-cache'
+  });
+  res.send(JSON.stringify(info));
+});
+
+app.get('/iiif/3/:id/:region/:size/:rotation/:qualityFormat', async (req, res) => {
+  const imageId = req.params.id;
+  let imagePath;
+  let metadata;
+  try {
+    imagePath = await tileGenerator.resolveImagePath(imageId);
+    metadata = await tileGenerator.getMetadataById(imageId);
+  } catch (error) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  
+  const series = tileGenerator.getSeries(metadata, 0);
+  let region, size, rotation, output;
+  try {
+    region = iiif.parseRegion(req.params.region, series.width, series.height);
+    size = iiif.parseSize(req.params.size, region, TileGenerator.MAX_REGION_SIZE);
+    rotation = iiif.parseRotation(req.params.rotation);
+    output = iiif.parseQualityFormat(req.params.qualityFormat);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    // Requests on the advertised tile grid are served from the tile cache
+    // (IIIF tiles never overlap, so only images without tile overlap qualify)
+    const layout = await tileGenerator.getTileLayout(imageId);
+    const plain = !rotation.mirror && rotation.degrees === 0 && layout.overlap === 0 &&
+      (output.quality === 'default' || output.quality === 'color') && output.format !== 'tiff';
+    const tile = plain && iiif.matchTile(
+      region,
+      size,
+      series.width,
+      series.height,
+      layout.tileSize,
+      tileGenerator.calculateLevels(series.width, series.height)
+    );
+    res.set('Link', '<http://iiif.io/api/image/3/level2.json>;rel="profile"');
+    if (tile) {
+      const encoding = await tileGenerator.getTileEncoding(imageId, output.format);
+      return await sendTile(req, res, imageId, 0, tile.level, tile.x, tile.y, encoding);
+    }
+    
+    const data = await tileGenerator.renderRegion({
+      imagePath,
+      series,
+      region,
+      scale: Math.min(region.width / size.width, region.height / size.height),
+      outputWidth: size.width,
+      outputHeight: size.height,
+      format: output.format,
+      mirror: rotation.mirror,
+      rotation: rotation.degrees,
+      quality: output.quality
+    });
+    res.type(output.mimeType);
+    res.send(data);
+  } catch (error) {
+    console.error('IIIF error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Error handling middleware
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Share links are valid for a week unless asked otherwise, and never longer than 90 days
+const DEFAULT_SHARE_TTL_SECONDS = 7 * 24 * 60 * 60;
+const MAX_SHARE_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Bytes of the generated signing key
+const SECRET_BYTES = 32;
+
+/**
+ * ShareLinkSigner mints and checks signed, expiring share tokens.
+ * A token is the base64url JSON scope (image, expiry, optional maximum level
+ * and region) followed by its HMAC-SHA256, so links need no server-side
+ * record. The key comes from SHARE_LINK_SECRET or is generated once into
+ * uploadsDir; replacing it revokes every link.
+ */
+class ShareLinkSigner {
+  constructor(secretFile, secret = null) {
+    this.secretFile = secretFile;
+    this.secret = secret ? Buffer.from(secret) : null;
+  }
+
+  /**
+   * Load the signing key, generating it on first start
+   */
+  async init() {
+    if (this.secret) return;
+    try {
+      this.secret = Buffer.from((await fs.readFile(this.secretFile, 'utf8')).trim(), 'hex');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not load share link key: ${error.message}`);
+      }
+      this.secret = crypto.randomBytes(SECRET_BYTES);
+      await fs.mkdir(path.dirname(this.secretFile), { recursive: true });
+      await fs.writeFile(this.secretFile, this.secret.toString('hex'), { mode: 0o600 });
+    }
+  }
+
+  /**
+   * Parse the lifetime of a new link
+   * @param {number|string} value - Seconds (optional)
+   * @returns {number} Seconds
+   */
+  parseExpiresIn(value) {
+    if (value === undefined || value === null || value === '') {
+      return DEFAULT_SHARE_TTL_SECONDS;
+    }
+    const seconds = Number(value);
+    if (!Number.isInteger(seconds) || seconds < 60 || seconds > MAX_SHARE_TTL_SECONDS) {
+      throw new Error(`expiresIn must be between 60 and ${MAX_SHARE_TTL_SECONDS} seconds`);
+    }
+    return seconds;
+  }
+
+  signature(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Mint a token
+   * @param {Object} scope - imageId, expiresIn (seconds), maxLevel and region ({ x, y, width, height }) (optional)
+   * @returns {Object} token and expiresAt
+   */
+  sign(scope) {
+    const expires = Math.floor(Date.now() / 1000) + this.parseExpiresIn(scope.expiresIn);
+    const claims = { id: scope.imageId, exp: expires };
+    if (scope.maxLevel !== null && scope.maxLevel !== undefined) {
+      claims.lvl = scope.maxLevel;
+    }
+    if (scope.region) {
+      claims.reg = [scope.region.x, scope.region.y, scope.region.width, scope.region.height];
+    }
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return {
+      token: `${payload}.${this.signature(payload)}`,
+      expiresAt: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Check a token's signature and expiry
+   * @param {string} token - Token from a share link
+   * @returns {Object|null} imageId, expiresAt, maxLevel and region, or null when invalid or expired
+   */
+  verify(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+      return null;
+    }
+    const expected = Buffer.from(this.signature(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+    if (!claims || typeof claims.id !== 'string' || !(claims.exp * 1000 > Date.now())) {
+      return null;
+    }
+    return {
+      imageId: claims.id,
+      expiresAt: new Date(claims.exp * 1000).toISOString(),
+      maxLevel: Number.isInteger(claims.lvl) ? claims.lvl : null,
+      region: Array.isArray(claims.reg)
+        ? { x: claims.reg[0], y: claims.reg[1], width: claims.reg[2], height: claims.reg[3] }
+        : null
+    };
+  }
+}
+
+module.exports = ShareLinkSigner;
@@ -0,0 +1,289 @@
+const fs = require('fs').promises;
+
+// TIFF tag numbers used by the viewer
+const TAGS = {
+  NewSubfileType: 254,
+  ImageWidth: 256,
+  ImageLength: 257,
+  BitsPerSample: 258,
+  Compression: 259,
+  ImageDescription: 270,
+  Make: 271,
+  Model: 272,
+  StripOffsets: 273,
+  SamplesPerPixel: 277,
+  StripByteCounts: 279,
+  XResolution: 282,
+  YResolution: 283,
+  ResolutionUnit: 296,
+  Software: 305,
+  DateTime: 306,
+  TileWidth: 322,
+  TileLength: 323,
+  TileOffsets: 324,
+  TileByteCounts: 325,
+  SubIFDs: 330,
+  SampleFormat: 339,
+  XMLPacket: 700,
+  ICCProfile: 34675
+};
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = {
+  1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2,
+  9: 4, 10: 8, 11: 4, 12: 8, 13: 4, 16: 8, 17: 8, 18: 8
+};
+
+// NewSubfileType bit marking a reduced-resolution copy of another image
+const REDUCED_RESOLUTION = 0x1;
+
+// Guards against corrupt files with looping or absurdly long IFD chains
+const MAX_DIRECTORIES = 4096;
+
+/**
+ * Minimal TIFF/BigTIFF directory reader.
+ * Reads only the IFD structure (never pixel data), so it is cheap even on
+ * gigapixel slides where Sharp would have to decode image data.
+ */
+class TiffReader {
+  constructor(handle, fileSize) {
+    this.handle = handle;
+    this.fileSize = fileSize;
+    this.littleEndian = true;
+    this.bigTiff = false;
+  }
+
+  /**
+   * Open a TIFF file and validate its header
+   * @param {string} filePath - Path to the TIFF file
+   * @returns {Promise<TiffReader>} Reader positioned at the first IFD
+   */
+  static async open(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const stat = await handle.stat();
+      const reader = new TiffReader(handle, stat.size);
+      await reader.readHeader();
+      return reader;
+    } catch (error) {
+      await handle.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Read all top-level directories (and their SubIFDs) of a TIFF file
+   * @param {string} filePath - Path to the TIFF file
+   * @returns {Promise<Array>} Parsed directories in file order
+   */
+  static async readDirectories(filePath) {
+    const reader = await TiffReader.open(filePath);
+    try {
+      return await reader.readDirectories();
+    } finally {
+      await reader.close();
+    }
+  }
+
+  async close() {
+    await this.handle.close();
+  }
+
+  async read(offset, length) {
+    if (offset < 0 || offset + length > this.fileSize) {
+      const error = new Error(`TIFF read outside file bounds at offset ${offset}`);
+      error.outOfBounds = true;
+      throw error;
+    }
+    const buffer = Buffer.alloc(length);
+    await this.handle.read(buffer, 0, length, offset);
+    return buffer;
+  }
+
+  async readHeader() {
+    const header = await this.read(0, Math.min(16, this.fileSize));
+    const order = header.toString('latin1', 0, 2);
+    if (order !== 'II' && order !== 'MM') {
+      throw new Error('Not a TIFF file');
+    }
+    this.littleEndian = order === 'II';
+
+    const magic = this.readUInt(header, 2, 2);
+    if (magic === 42) {
+      this.firstIfdOffset = this.readUInt(header, 4, 4);
+    } else if (magic === 43) {
+      this.bigTiff = true;
+      this.firstIfdOffset = this.readUInt(header, 8, 8);
+    } else {
+      throw new Error('Not a TIFF file');
+    }
+  }
+
+  readUInt(buffer, offset, size) {
+    const le = this.littleEndian;
+    switch (size) {
+      case 1: return buffer.readUInt8(offset);
+      case 2: return le ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+      case 4: return le ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+      case 8: return Number(le ? buffer.readBigUInt64LE(offset) : buffer.readBigUInt64BE(offset));
+      default: throw new Error(`Unsupported integer size ${size}`);
+    }
+  }
+
+  /**
+   * Read one IFD at the given offset
+   * @param {number} offset - Byte offset of the IFD
+   * @returns {Promise<Object>} Tag entries and the offset of the next IFD
+   */
+  async readIfd(offset) {
+    const countSize = this.bigTiff ? 8 : 2;
+    const entrySize = this.bigTiff ? 20 : 12;
+    const offsetSize = this.bigTiff ? 8 : 4;
+
+    const count = this.readUInt(await this.read(offset, countSize), 0, countSize);
+    const body = await this.read(offset + countSize, count * entrySize + offsetSize);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+      const base = i * entrySize;
+      const tag = this.readUInt(body, base, 2);
+      const type = this.readUInt(body, base + 2, 2);
+      const valueCount = this.readUInt(body, base + 4, this.bigTiff ? 8 : 4);
+      const valueField = base + (this.bigTiff ? 12 : 8);
+      const byteLength = (TYPE_SIZES[type] || 1) * valueCount;
+
+      entries.set(tag, {
+        type,
+        count: valueCount,
+        byteLength,
+        inline: byteLength <= offsetSize ? body.subarray(valueField, valueField + offsetSize) : null,
+        valueOffset: byteLength <= offsetSize ? null : this.readUInt(body, valueField, offsetSize)
+      });
+    }
+
+    return {
+      entries,
+      nextOffset: this.readUInt(body, count * entrySize, offsetSize)
+    };
+  }
+
+  /**
+   * Read the values of one tag entry
+   * @param {Object} entry - Entry from readIfd()
+   * @returns {Promise<Array<number>|string>} Numbers, or a string for ASCII tags
+   */
+  async readValues(entry) {
+    if (!entry) return null;
+    const buffer = entry.inline || await this.read(entry.valueOffset, entry.byteLength);
+
+    if (entry.type === 2) {
+      return buffer.toString('utf8', 0, entry.byteLength).replace(/\0+$/, '');
+    }
+
+    const size = TYPE_SIZES[entry.type] || 1;
+    const values = [];
+    for (let i = 0; i < entry.count; i++) {
+      if (entry.type === 5) {
+        values.push(this.readUInt(buffer, i * 8, 4) / (this.readUInt(buffer, i * 8 + 4, 4) || 1));
+      } else {
+        values.push(this.readUInt(buffer, i * size, Math.min(size, 8)));
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Read a tag as text, whether it is stored as ASCII or as bytes (e.g. XMLPacket)
+   * @param {Object} entry - Entry from readIfd()
+   * @returns {Promise<string|null>} Text without trailing NULs
+   */
+  async readText(entry) {
+    if (!entry || ![1, 2, 7].includes(entry.type)) return null;
+    const buffer = entry.inline || await this.read(entry.valueOffset, entry.byteLength);
+    return buffer.toString('utf8', 0, entry.byteLength).replace(/\0+$/, '');
+  }
+
+  async readFirstValue(entries, tag) {
+    const values = await this.readValues(entries.get(tag));
+    return Array.isArray(values) ? values[0] : values;
+  }
+
+  /**
+   * Summarize one IFD into the fields the tile pipeline needs
+   * @param {number} offset - Byte offset of the IFD
+   * @returns {Promise<Object>} Directory summary
+   */
+  async readDirectory(offset) {
+    const { entries, nextOffset } = await this.readIfd(offset);
+    const tileWidth = await this.readFirstValue(entries, TAGS.TileWidth);
+    const subfileType = (await this.readFirstValue(entries, TAGS.NewSubfileType)) || 0;
+
+    return {
+      offset,
+      nextOffset,
+      entries,
+      width: await this.readFirstValue(entries, TAGS.ImageWidth),
+      height: await this.readFirstValue(entries, TAGS.ImageLength),
+      tiled: Boolean(tileWidth),
+      tileWidth: tileWidth || null,
+      tileHeight: (await this.readFirstValue(entries, TAGS.TileLength)) || null,
+      compression: (await this.readFirstValue(entries, TAGS.Compression)) || 1,
+      samplesPerPixel: (await this.readFirstValue(entries, TAGS.SamplesPerPixel)) || 1,
+      bitsPerSample: (await this.readFirstValue(entries, TAGS.BitsPerSample)) || 1,
+      sampleFormat: (await this.readFirstValue(entries, TAGS.SampleFormat)) || 1,
+      subfileType,
+      reducedResolution: Boolean(subfileType & REDUCED_RESOLUTION),
+      hasIccProfile: entries.has(TAGS.ICCProfile),
+      description: (await this.readValues(entries.get(TAGS.ImageDescription))) || '',
+      // Baseline tags that vendor metadata falls back on
+      tags: {
+        make: await this.readText(entries.get(TAGS.Make)),
+        model: await this.readText(entries.get(TAGS.Model)),
+        software: await this.readText(entries.get(TAGS.Software)),
+        dateTime: await this.readText(entries.get(TAGS.DateTime)),
+        xResolution: (await this.readFirstValue(entries, TAGS.XResolution)) || null,
+        yResolution: (await this.readFirstValue(entries, TAGS.YResolution)) || null,
+        resolutionUnit: (await this.readFirstValue(entries, TAGS.ResolutionUnit)) || 2,
+        xmlPacket: await this.readText(entries.get(TAGS.XMLPacket))
+      }
+    };
+  }
+
+  /**
+   * Walk the IFD chain
+   * @returns {Promise<Array>} Directories with their page index and SubIFDs
+   */
+  async readDirectories() {
+    const directories = [];
+    const seen = new Set();
+    let offset = this.firstIfdOffset;
+
+    while (offset && directories.length < MAX_DIRECTORIES) {
+      if (seen.has(offset)) {
+        throw new Error('TIFF IFD chain contains a loop');
+      }
+      seen.add(offset);
+
+      const directory = await this.readDirectory(offset);
+      directory.page = directories.length;
+      directory.subIfds = [];
+
+      const subIfdOffsets = (await this.readValues(directory.entries.get(TAGS.SubIFDs))) || [];
+      for (let i = 0; i < subIfdOffsets.length; i++) {
+        const subIfd = await this.readDirectory(subIfdOffsets[i]);
+        subIfd.page = directory.page;
+        subIfd.subifd = i;
+        directory.subIfds.push(subIfd);
+      }
+
+      directories.push(directory);
+      offset = directory.nextOffset;
+    }
+
+    return directories;
+  }
+}
+
+TiffReader.TAGS = TAGS;
+
+module.exports = TiffReader;
@@ -0,0 +1,154 @@
+const { parseOmeXml } = require('./omeTiff');
+
+// Associated images that vendors store next to the scanned regions
+const ASSOCIATED_NAMES = ['label', 'macro', 'thumbnail', 'overview'];
+
+// Max relative aspect-ratio difference for a page to count as a downsample
+const ASPECT_TOLERANCE = 0.02;
+
+/**
+ * Map Leica SCN IFD numbers to the image names declared in the SCN XML
+ * @param {string} description - ImageDescription of the first IFD
+ * @returns {Map<number, string>} IFD index → image name
+ */
+function parseScnImageNames(description) {
+  const names = new Map();
+  if (!description || !description.includes('<scn')) return names;
+
+  const imagePattern = /<image\b[^>]*?\bname="([^"]*)"[^>]*>([\s\S]*?)<\/image>/g;
+  let image;
+  while ((image = imagePattern.exec(description)) !== null) {
+    const ifdPattern = /<dimension\b[^>]*?\bifd="(\d+)"/g;
+    let dimension;
+    while ((dimension = ifdPattern.exec(image[2])) !== null) {
+      names.set(parseInt(dimension[1], 10), image[1]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Detect an associated-image keyword in a page description (e.g. Aperio "label 415x422")
+ * @param {string} description - ImageDescription of the page
+ * @returns {string|null} Associated image name
+ */
+function associatedName(description) {
+  const lines = (description || '').split(/\r?\n/).slice(0, 3).join(' ').toLowerCase();
+  return ASSOCIATED_NAMES.find(name => new RegExp(`\\b${name}\\b`).test(lines)) || null;
+}
+
+/**
+ * Whether a directory looks like a reduced-resolution copy of a series base
+ * @param {Object} directory - Candidate directory
+ * @param {Object} base - Full-resolution directory of the series
+ * @returns {boolean}
+ */
+function isDownsampleOf(directory, base) {
+  if (directory.width >= base.width || directory.height >= base.height) return false;
+  if (directory.tiled !== base.tiled) return false;
+  if (associatedName(directory.description)) return false;
+
+  const baseAspect = base.width / base.height;
+  const aspect = directory.width / directory.height;
+  return Math.abs(aspect - baseAspect) / baseAspect < ASPECT_TOLERANCE;
+}
+
+function toLevel(directory) {
+  const level = { page: directory.page, width: directory.width, height: directory.height };
+  if (directory.subifd !== undefined) {
+    level.subifd = directory.subifd;
+  }
+  // Scanners often embed their color profile in the first page only
+  if (directory.hasIccProfile) {
+    level.iccProfile = true;
+  }
+  return level;
+}
+
+/**
+ * Build series from the images of an OME-TIFF: one series per image, whose
+ * levels are those of its first plane; the other planes have the same levels
+ * in their own IFD and SubIFDs
+ * @param {Array} directories - Directories from TiffReader.readDirectories()
+ * @param {Array<Object>} images - Images from parseOmeXml()
+ * @returns {Array<Object>} Series with their planes (sizes, channels, pages)
+ */
+function groupOmeSeries(directories, images) {
+  const series = [];
+  images.forEach((image) => {
+    const first = image.planes.find(plane => plane.c === 0 && plane.z === 0 && plane.t === 0);
+    if (!first) return;
+    const base = directories[first.ifd];
+
+    series.push({
+      index: series.length,
+      name: image.name || `Series ${series.length}`,
+      page: base.page,
+      width: base.width,
+      height: base.height,
+      levels: [toLevel(base), ...base.subIfds.map(toLevel)].sort((a, b) => b.width - a.width),
+      planes: {
+        sizes: image.sizes,
+        channels: image.channels,
+        // "c,z,t" → page of that plane
+        pages: Object.fromEntries(image.planes.map(plane => [`${plane.c},${plane.z},${plane.t}`, plane.ifd]))
+      }
+    });
+  });
+  return series;
+}
+
+/**
+ * Group the pages of a TIFF into series.
+ * A series is one scanned region or associated image together with any
+ * reduced-resolution pages (IFDs or SubIFDs) that belong to it. OME-TIFF
+ * images are series with planes addressed by channel, Z-plane and time point.
+ * @param {Array} directories - Directories from TiffReader.readDirectories()
+ * @returns {Array<Object>} Series with their pyramid levels, largest first
+ */
+function groupSeries(directories) {
+  const description = directories.length ? directories[0].description : '';
+  // OME-TIFF planes share one size, so their series come from the OME-XML
+  const omeSeries = groupOmeSeries(directories, parseOmeXml(description, directories.length));
+  if (omeSeries.length > 0) {
+    return omeSeries;
+  }
+
+  const scnNames = parseScnImageNames(description);
+  const series = [];
+
+  for (const directory of directories) {
+    let target = null;
+    for (let i = series.length - 1; i >= 0 && !target; i--) {
+      if (isDownsampleOf(directory, series[i].base)) {
+        target = series[i];
+      }
+    }
+
+    if (!target) {
+      target = {
+        index: series.length,
+        name: scnNames.get(directory.page) || associatedName(directory.description) || `Series ${series.length}`,
+        page: directory.page,
+        width: directory.width,
+        height: directory.height,
+        base: directory,
+        levels: []
+      };
+      series.push(target);
+    }
+
+    target.levels.push(toLevel(directory));
+    directory.subIfds.forEach(subIfd => target.levels.push(toLevel(subIfd)));
+  }
+
+  return series.map(({ base, ...entry }) => {
+    entry.levels.sort((a, b) => b.width - a.width);
+    return entry;
+  });
+}
+
+module.exports = {
+  groupSeries,
+  ASSOCIATED_NAMES
+};
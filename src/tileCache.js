@@ -0,0 +1,235 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Levels at or below this (≤ 1024 px on the long side) are evicted last:
+// they are few, cheap to keep and needed every time a slide is opened
+const PROTECTED_MAX_LEVEL = 10;
+
+// Evict down to this fraction of the quota so eviction runs in batches
+const LOW_WATERMARK = 0.9;
+
+/**
+ * TileCache keeps the on-disk tile cache under a byte quota.
+ * It indexes every tile file under tilesDir, evicts least-recently-used
+ * tiles (full-resolution levels first) when the quota is exceeded, and
+ * counts cache hits and misses per image.
+ */
+class TileCache {
+  constructor(tilesDir, maxBytes = 0) {
+    this.tilesDir = tilesDir;
+    this.maxBytes = maxBytes; // 0 = unlimited
+    this.entries = new Map(); // tile path → { imageId, level, size, lastAccess }
+    this.totalBytes = 0;
+    this.stats = new Map(); // imageId → { hits, misses, evictions }
+    this.evicting = null;
+  }
+
+  /**
+   * Index the existing cache and enforce the quota
+   */
+  async init() {
+    await this.scan(this.tilesDir);
+    await this.enforceQuota();
+  }
+
+  async scan(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await this.scan(entryPath);
+      } else if (entry.isFile() && entry.name.endsWith('.tmp')) {
+        // Left behind by a tile write that was interrupted
+        await fs.rm(entryPath, { force: true });
+      } else if (entry.isFile()) {
+        try {
+          const stat = await fs.stat(entryPath);
+          if (!this.entries.has(entryPath)) {
+            this.track(entryPath, stat.size, Math.max(stat.atimeMs, stat.mtimeMs));
+          }
+        } catch (error) {
+          // Removed while scanning
+        }
+      }
+    }
+  }
+
+  /**
+   * Derive image ID and level from a tile path:
+   * {tilesDir}/{imageId}/.../{level}/{x}_{y}.{ext}
+   */
+  parseTilePath(tilePath) {
+    const parts = path.relative(this.tilesDir, tilePath).split(path.sep);
+    return {
+      imageId: parts[0],
+      level: parts.length >= 3 ? parseInt(parts[parts.length - 2], 10) : NaN
+    };
+  }
+
+  track(tilePath, size, lastAccess = Date.now()) {
+    const existing = this.entries.get(tilePath);
+    if (existing) {
+      this.totalBytes -= existing.size;
+    }
+    const { imageId, level } = this.parseTilePath(tilePath);
+    this.entries.set(tilePath, { imageId, level, size, lastAccess });
+    this.totalBytes += size;
+  }
+
+  getStats(imageId) {
+    if (!this.stats.has(imageId)) {
+      this.stats.set(imageId, { hits: 0, misses: 0, evictions: 0 });
+    }
+    return this.stats.get(imageId);
+  }
+
+  /**
+   * Record a cache hit and refresh the tile's position in the LRU order
+   * @param {string} imageId - Image ID
+   * @param {string} tilePath - Cached tile path
+   */
+  recordHit(imageId, tilePath) {
+    this.getStats(imageId).hits++;
+    const entry = this.entries.get(tilePath);
+    if (entry) {
+      entry.lastAccess = Date.now();
+    }
+  }
+
+  /**
+   * Record a cache miss and index the newly written tile
+   * @param {string} imageId - Image ID
+   * @param {string} tilePath - Generated tile path
+   */
+  async recordMiss(imageId, tilePath) {
+    this.getStats(imageId).misses++;
+    try {
+      const stat = await fs.stat(tilePath);
+      this.track(tilePath, stat.size);
+    } catch (error) {
+      return;
+    }
+    // Evict in the background; the new tile is the most recently used
+    this.enforceQuota().catch((error) => {
+      console.error('Tile cache eviction failed:', error.message);
+    });
+  }
+
+  /**
+   * Evict tiles until the cache is under the low watermark
+   * Full-resolution levels go first, least recently used first; protected
+   * low-resolution levels are only evicted when nothing else is left.
+   */
+  async enforceQuota() {
+    if (!this.maxBytes || this.totalBytes <= this.maxBytes) return;
+    if (this.evicting) return this.evicting;
+
+    this.evicting = (async () => {
+      const target = this.maxBytes * LOW_WATERMARK;
+      const candidates = [...this.entries.entries()].sort(([, a], [, b]) => {
+        // Thumbnails and associated images have no level and are protected too
+        const tierA = a.level > PROTECTED_MAX_LEVEL ? 0 : 1;
+        const tierB = b.level > PROTECTED_MAX_LEVEL ? 0 : 1;
+        return tierA - tierB || a.lastAccess - b.lastAccess;
+      });
+
+      for (const [tilePath, entry] of candidates) {
+        if (this.totalBytes <= target) break;
+        await fs.rm(tilePath, { force: true });
+        if (this.entries.get(tilePath) === entry) {
+          this.entries.delete(tilePath);
+          this.totalBytes -= entry.size;
+          this.getStats(entry.imageId).evictions++;
+        }
+      }
+    })().finally(() => {
+      this.evicting = null;
+    });
+
+    return this.evicting;
+  }
+
+  /**
+   * Forget every tile of an image (after its tiles were deleted)
+   * @param {string} imageId - Image ID
+   */
+  removeImage(imageId) {
+    for (const [tilePath, entry] of this.entries) {
+      if (entry.imageId === imageId) {
+        this.entries.delete(tilePath);
+        this.totalBytes -= entry.size;
+      }
+    }
+  }
+
+  /**
+   * Forget the hit/miss counters of a deleted image
+   * @param {string} imageId - Image ID
+   */
+  forgetImage(imageId) {
+    this.removeImage(imageId);
+    this.stats.delete(imageId);
+  }
+
+  /**
+   * Cache size and hit/miss statistics, overall and per image
+   * @param {string} imageId - Restrict the report to one image (optional)
+   * @returns {Object} Cache report
+   */
+  report(imageId = null) {
+    const images = new Map();
+    const imageReport = (id) => {
+      if (!images.has(id)) {
+        const stats = this.stats.get(id) || { hits: 0, misses: 0, evictions: 0 };
+        const requests = stats.hits + stats.misses;
+        images.set(id, {
+          imageId: id,
+          bytes: 0,
+          tiles: 0,
+          hits: stats.hits,
+          misses: stats.misses,
+          evictions: stats.evictions,
+          hitRate: requests > 0 ? stats.hits / requests : null
+        });
+      }
+      return images.get(id);
+    };
+
+    for (const entry of this.entries.values()) {
+      if (imageId && entry.imageId !== imageId) continue;
+      const report = imageReport(entry.imageId);
+      report.bytes += entry.size;
+      report.tiles++;
+    }
+    for (const id of this.stats.keys()) {
+      if (!imageId || id === imageId) imageReport(id);
+    }
+
+    if (imageId) {
+      return imageReport(imageId);
+    }
+
+    const totals = [...images.values()].reduce((sum, report) => {
+      sum.hits += report.hits;
+      sum.misses += report.misses;
+      sum.evictions += report.evictions;
+      return sum;
+    }, { hits: 0, misses: 0, evictions: 0 });
+
+    return {
+      maxBytes: this.maxBytes || null,
+      totalBytes: this.totalBytes,
+      tiles: this.entries.size,
+      ...totals,
+      images: [...images.values()].sort((a, b) => b.bytes - a.bytes)
+    };
+  }
+}
+
+module.exports = TileCache;
@@ -1,6 +1,16 @@
 const sharp = require('sharp');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
+const TiffReader = require('./tiffReader');
+const ImageCatalog = require('./imageCatalog');
+const TileCache = require('./tileCache');
+const { groupSeries, ASSOCIATED_NAMES } = require('./tiffSeries');
+const channelRendering = require('./channelRendering');
+const colorManagement = require('./colorManagement');
+const { parseVendorMetadata } = require('./vendorMetadata');
+const { validateUpload, uploadError } = require('./uploadValidation');
 
 // Global Sharp configuration for performance and stability with large files
 try {
@@ -10,25 +20,616 @@ try {
   console.warn('Could not set global sharp options:', e);
 }
 
+// Edge length of the square tiles served by the DZI endpoints (default)
+const TILE_SIZE = 256;
+
+// Tile sizes and overlap an image can be configured with
+const TILE_SIZES = [256, 512, 1024];
+const MAX_TILE_OVERLAP = 8;
+
+// How coarser levels are built: 'children' area-averages the four cached
+// tiles of the next finer level when they exist (falling back to the source),
+// 'source' always reads the source image
+const PYRAMID_STRATEGIES = ['children', 'source'];
+
+// Thumbnail sizes (longest side, in pixels) for the file list and API
+const DEFAULT_THUMBNAIL_SIZE = 256;
+const MAX_THUMBNAIL_SIZE = 1024;
+
+// Encoding for thumbnails and associated images
+const PREVIEW_QUALITY = 85;
+
+// Largest region export, per output side, in pixels
+const MAX_REGION_SIZE = 8192;
+
+// Region export encoders keyed by format
+const REGION_FORMATS = {
+  png: { extension: 'png', mimeType: 'image/png' },
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg' },
+  tiff: { extension: 'tif', mimeType: 'image/tiff' }
+};
+
+// Tile encoders keyed by format; quality is ignored for lossless PNG
+const TILE_ENCODINGS = {
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg', defaultQuality: 75 },
+  png: { extension: 'png', mimeType: 'image/png', defaultQuality: null },
+  webp: { extension: 'webp', mimeType: 'image/webp', defaultQuality: 80 },
+  avif: { extension: 'avif', mimeType: 'image/avif', defaultQuality: 50 }
+};
+
+// Axes addressing the planes of an OME-TIFF series
+const PLANE_AXES = ['c', 'z', 't'];
+const PLANE_AXIS_NAMES = { c: 'channels', z: 'Z-planes', t: 'time points' };
+
+// Per-image settings used when an image has none stored
+const DEFAULT_IMAGE_SETTINGS = {
+  tileFormat: 'jpeg',
+  tileQuality: null, // null = encoder default
+  tileSize: TILE_SIZE,
+  tileOverlap: 0, // Pixels shared with each neighbouring tile (hides seams)
+  name: null,
+  description: '',
+  tags: []
+};
+
+// Limits for user-editable labels
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_TAGS = 50;
+
+// Per-image settings fields stored in the catalog record
+const SETTINGS_FIELDS = Object.keys(DEFAULT_IMAGE_SETTINGS);
+
+/**
+ * Compute the SHA-256 of a file without loading it into memory
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Hex digest
+ */
+function computeChecksum(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Move a file, copying it when the destination is on another filesystem
+ * (e.g. from a network share into originalDir)
+ * @param {string} from - Source path
+ * @param {string} to - Destination path
+ */
+async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(from, to);
+    await fs.rm(from, { force: true });
+  }
+}
+
+/**
+ * Halve an 8-bit raw image by averaging each 2×2 block of pixels
+ * Blocks cut off by an odd right or bottom edge average the pixels they have.
+ * @param {Buffer} pixels - Interleaved pixels
+ * @param {number} width - Input width
+ * @param {number} height - Input height
+ * @param {number} channels - Channels per pixel
+ * @returns {Object} data, width and height of the halved image
+ */
+function downsampleByTwo(pixels, width, height, channels) {
+  const outWidth = Math.ceil(width / 2);
+  const outHeight = Math.ceil(height / 2);
+  const output = Buffer.alloc(outWidth * outHeight * channels);
+
+  for (let y = 0; y < outHeight; y++) {
+    const row0 = 2 * y * width;
+    const row1 = Math.min(2 * y + 1, height - 1) * width;
+    for (let x = 0; x < outWidth; x++) {
+      const col0 = 2 * x;
+      const col1 = Math.min(2 * x + 1, width - 1);
+      const out = (y * outWidth + x) * channels;
+      for (let c = 0; c < channels; c++) {
+        const sum = pixels[(row0 + col0) * channels + c] +
+          pixels[(row0 + col1) * channels + c] +
+          pixels[(row1 + col0) * channels + c] +
+          pixels[(row1 + col1) * channels + c];
+        output[out + c] = (sum + 2) >> 2;
+      }
+    }
+  }
+
+  return { data: output, width: outWidth, height: outHeight };
+}
+
+/**
+ * Check that a cached tile is complete: non-empty, with the encoder's
+ * signature at the start and its end marker (or box layout) intact
+ * @param {string} tilePath - Tile path
+ * @param {string} format - Tile format (jpeg, png, webp, avif)
+ * @returns {Promise<boolean>} False when the tile is missing, empty or truncated
+ */
+async function isValidTileFile(tilePath, format) {
+  let handle;
+  try {
+    handle = await fs.open(tilePath, 'r');
+  } catch (error) {
+    return false;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    if (size < 16) return false;
+
+    const head = Buffer.alloc(16);
+    const tail = Buffer.alloc(12);
+    await handle.read(head, 0, head.length, 0);
+    await handle.read(tail, 0, tail.length, size - tail.length);
+
+    switch (format) {
+      case 'png':
+        return head.readUInt32BE(0) === 0x89504e47 && tail.toString('latin1', 4, 8) === 'IEND';
+      case 'webp':
+        return head.toString('latin1', 0, 4) === 'RIFF' &&
+          head.toString('latin1', 8, 12) === 'WEBP' &&
+          head.readUInt32LE(4) + 8 === size;
+      case 'avif': {
+        // Top-level ISO-BMFF boxes (ftyp, meta, mdat) must add up to the file size
+        if (head.toString('latin1', 4, 8) !== 'ftyp') return false;
+        const box = Buffer.alloc(16);
+        let offset = 0;
+        while (offset < size) {
+          const { bytesRead } = await handle.read(box, 0, 16, offset);
+          if (bytesRead < 8) return false;
+          let boxSize = box.readUInt32BE(0);
+          if (boxSize === 0) return true; // Box extends to the end of the file
+          if (boxSize === 1) {
+            if (bytesRead < 16) return false;
+            boxSize = Number(box.readBigUInt64BE(8));
+          }
+          if (boxSize < 8) return false;
+          offset += boxSize;
+        }
+        return offset === size;
+      }
+      default:
+        return head[0] === 0xff && head[1] === 0xd8 && tail[10] === 0xff && tail[11] === 0xd9;
+    }
+  } catch (error) {
+    return false;
+  } finally {
+    await handle.close();
+  }
+}
+
 /**
  * TileGenerator class for processing TIFF/SCN files and generating DZI tiles
  */
 class TileGenerator {
-  constructor(uploadsDir) {
+  /**
+   * @param {string} uploadsDir - Root directory for originals, tiles and the catalog
+   * @param {Object} options - tileCacheMaxBytes: disk quota for cached tiles (0 = unlimited);
+   *   pyramidStrategy: 'children' (default) or 'source'
+   */
+  constructor(uploadsDir, options = {}) {
     this.uploadsDir = uploadsDir;
     this.tilesDir = path.join(uploadsDir, 'tiles');
+    // Disk-bounded tile cache with LRU eviction and hit/miss statistics
+    this.tileCache = new TileCache(this.tilesDir, options.tileCacheMaxBytes || 0);
+    this.pyramidStrategy = options.pyramidStrategy || 'children';
+    if (!PYRAMID_STRATEGIES.includes(this.pyramidStrategy)) {
+      throw new Error(`Unknown pyramid strategy: ${this.pyramidStrategy} (use ${PYRAMID_STRATEGIES.join(' or ')})`);
+    }
     this.originalDir = path.join(uploadsDir, 'original');
+    // Written by releases before the catalog existed; migrated at startup
+    this.legacySettingsDir = path.join(uploadsDir, 'settings');
+    // Persistent record of every image (original name, checksum, dimensions, settings)
+    this.catalog = new ImageCatalog(path.join(uploadsDir, 'catalog.json'));
     // Lightweight in-memory cache for metadata (avoids repeated Sharp calls on gigapixel images)
     this.metadataCache = new Map();
+    // Embedded ICC profiles by image path and series, read from the file once
+    this.iccProfiles = new Map();
+    // Tile path → in-flight generation, shared by concurrent requests for the same tile
+    this.pendingTiles = new Map();
   }
 
   /**
-   * Initialize directories
+   * Initialize directories and load the image catalog
    */
   async init() {
     await fs.mkdir(this.uploadsDir, { recursive: true });
     await fs.mkdir(this.tilesDir, { recursive: true });
     await fs.mkdir(this.originalDir, { recursive: true });
+    await this.catalog.init();
+    await this.syncCatalog();
+    await this.removeLegacyTiles();
+    await this.tileCache.init();
+    await this.removeTempFiles();
+  }
+
+  /**
+   * Delete tiles cached in the original layout, tiles/{imageId}/{level}/
+   * Their level 0 was the first level that fits in one tile rather than 1×1,
+   * so they do not match Deep Zoom levels, and nothing reads that layout any more.
+   */
+  async removeLegacyTiles() {
+    for (const imageDir of await fs.readdir(this.tilesDir, { withFileTypes: true })) {
+      if (!imageDir.isDirectory()) continue;
+      const imagePath = path.join(this.tilesDir, imageDir.name);
+      for (const entry of await fs.readdir(imagePath, { withFileTypes: true })) {
+        if (entry.isDirectory() && /^\d+$/.test(entry.name)) {
+          await fs.rm(path.join(imagePath, entry.name), { recursive: true, force: true });
+        }
+      }
+    }
+  }
+
+  /**
+   * Delete uploads left in the temp directory by a crash or restart
+   * (resumable uploads keep their own subdirectory and are not touched)
+   */
+  async removeTempFiles() {
+    const tempDir = path.join(this.uploadsDir, 'temp');
+    let entries;
+    try {
+      entries = await fs.readdir(tempDir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    for (const entry of entries.filter(entry => entry.isFile())) {
+      await fs.rm(path.join(tempDir, entry.name), { force: true });
+    }
+  }
+
+  /**
+   * Reconcile the catalog with originalDir
+   * Files without a record (uploaded before the catalog existed) are probed
+   * once and registered; records whose file is gone are dropped.
+   */
+  async syncCatalog() {
+    const files = (await fs.readdir(this.originalDir)).filter(file => !file.startsWith('.'));
+    const ids = new Set(files.map(file => path.parse(file).name));
+    
+    for (const record of this.catalog.all()) {
+      if (!ids.has(record.id)) {
+        await this.catalog.remove(record.id);
+      }
+    }
+    
+    for (const file of files) {
+      const imageId = path.parse(file).name;
+      if (this.catalog.get(imageId)) continue;
+      
+      try {
+        const imagePath = path.join(this.originalDir, file);
+        const metadata = await this.getImageMetadata(imagePath);
+        const stat = await fs.stat(imagePath);
+        
+        let settings = {};
+        try {
+          const legacyFile = path.join(this.legacySettingsDir, `${imageId}.json`);
+          settings = JSON.parse(await fs.readFile(legacyFile, 'utf8'));
+          await fs.rm(legacyFile, { force: true });
+        } catch (error) {
+          // No settings saved for this image
+        }
+        
+        await this.catalog.put(this.buildRecord(imageId, file, metadata, {
+          originalName: file,
+          fileSize: stat.size,
+          checksum: null,
+          uploader: null,
+          owner: null,
+          uploadedAt: stat.birthtime.toISOString(),
+          settings
+        }));
+      } catch (error) {
+        console.error(`Error cataloging ${file}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Build a catalog record for an image
+   * @param {string} imageId - Image ID
+   * @param {string} fileName - Stored file name in originalDir
+   * @param {Object} metadata - Image metadata from getImageMetadata()
+   * @param {Object} details - originalName, fileSize, checksum, uploader, owner, uploadedAt, settings
+   * @returns {Object} Catalog record
+   */
+  buildRecord(imageId, fileName, metadata, details) {
+    const settings = this.applySettingChanges(DEFAULT_IMAGE_SETTINGS, details.settings || {});
+    
+    return {
+      id: imageId,
+      fileName,
+      originalName: details.originalName,
+      fileSize: details.fileSize,
+      checksum: details.checksum,
+      uploader: details.uploader,
+      // Account that owns the image, and accounts it is shared with
+      owner: details.owner || null,
+      grants: [],
+      // Where hot-folder and server-side imports came from (null for uploads)
+      ingestion: details.ingestion || null,
+      uploadedAt: details.uploadedAt,
+      width: metadata.width,
+      height: metadata.height,
+      originalFormat: metadata.format,
+      vendor: metadata.vendorMetadata.vendor,
+      metadata,
+      tilesVersion: 1,
+      ...settings
+    };
+  }
+
+  /**
+   * Get the per-image settings
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object>} Settings merged over the defaults
+   */
+  async getImageSettings(imageId) {
+    const record = this.catalog.get(imageId) || {};
+    const settings = { ...DEFAULT_IMAGE_SETTINGS };
+    SETTINGS_FIELDS.forEach((field) => {
+      if (record[field] !== undefined) {
+        settings[field] = record[field];
+      }
+    });
+    return settings;
+  }
+
+  /**
+   * Validate and store per-image settings
+   * @param {string} imageId - Image ID
+   * @param {Object} changes - Settings to change (tileFormat, tileQuality, tileSize, tileOverlap, name, description, tags)
+   * @returns {Promise<Object>} Updated settings
+   */
+  async updateImageSettings(imageId, changes) {
+    const current = await this.getImageSettings(imageId);
+    const settings = this.applySettingChanges(current, changes);
+    const update = { ...settings };
+    // Default tile URLs now serve different bytes
+    const tileFields = ['tileFormat', 'tileQuality', 'tileSize', 'tileOverlap'];
+    if (tileFields.some(field => settings[field] !== current[field])) {
+      update.tilesVersion = this.getTilesVersion(imageId) + 1;
+    }
+    await this.catalog.update(imageId, update);
+    return settings;
+  }
+
+  /**
+   * Whether an account may view an image: its owner, accounts it is shared
+   * with and admins. Images without an owner (uploaded before accounts existed)
+   * are visible to admins only.
+   * @param {string} imageId - Image ID
+   * @param {Object} user - Account with username and role
+   * @returns {boolean}
+   */
+  canAccessImage(imageId, user) {
+    const record = this.catalog.get(imageId);
+    if (!record || !user) return false;
+    return user.role === 'admin' || record.owner === user.username || (record.grants || []).includes(user.username);
+  }
+
+  /**
+   * Whether an account may change or delete an image: its owner and admins
+   * @param {string} imageId - Image ID
+   * @param {Object} user - Account with username and role
+   * @returns {boolean}
+   */
+  canManageImage(imageId, user) {
+    const record = this.catalog.get(imageId);
+    if (!record || !user) return false;
+    return user.role === 'admin' || record.owner === user.username;
+  }
+
+  /**
+   * Change the owner of an image or the accounts it is shared with
+   * @param {string} imageId - Image ID
+   * @param {Object} changes - owner (username) and/or grants (usernames)
+   * @returns {Promise<Object>} owner and grants
+   */
+  async updateImageAccess(imageId, changes) {
+    const update = {};
+    if (changes.owner !== undefined) {
+      if (typeof changes.owner !== 'string' || !changes.owner) {
+        throw new Error('owner must be a username');
+      }
+      update.owner = changes.owner;
+    }
+    if (changes.grants !== undefined) {
+      if (!Array.isArray(changes.grants) || !changes.grants.every(name => typeof name === 'string' && name)) {
+        throw new Error('grants must be an array of usernames');
+      }
+      update.grants = [...new Set(changes.grants)];
+    }
+    const record = await this.catalog.update(imageId, update);
+    return { owner: record.owner || null, grants: record.grants || [] };
+  }
+
+  /**
+   * Version of an image's tiles, bumped whenever its cached tiles may change
+   * (tiles purged or tile settings changed). Tile URLs carrying the current
+   * version (?v=) can be cached by browsers indefinitely.
+   * @param {string} imageId - Image ID
+   * @returns {number|null} Tiles version, or null for unknown images
+   */
+  getTilesVersion(imageId) {
+    const record = this.catalog.get(imageId);
+    return record ? record.tilesVersion || 1 : null;
+  }
+
+  /**
+   * Strong ETag for a tile: identifies the original file, tiles version,
+   * series, encoding and tile coordinates, so it changes whenever the bytes can
+   * @param {string} imageId - Image ID
+   * @param {number} seriesIndex - Series index
+   * @param {number} level - Pyramid level
+   * @param {number} x - Tile X coordinate
+   * @param {number} y - Tile Y coordinate
+   * @param {Object} encoding - Tile encoding from resolveEncoding()
+   * @param {Object} rendering - Channel rendering (optional)
+   * @param {Object} color - Color management from resolveColorManagement() (optional)
+   * @param {Object} plane - OME-TIFF plane from resolvePlane() (optional)
+   * @returns {string|null} Quoted ETag, or null for unknown images
+   */
+  getTileETag(imageId, seriesIndex, level, x, y, encoding, rendering = null, color = null, plane = null) {
+    const record = this.catalog.get(imageId);
+    if (!record) return null;
+    
+    // Legacy records have no checksum; size and upload time still identify the file
+    const source = record.checksum || `${record.fileSize}:${record.uploadedAt}`;
+    const layout = `${record.tileSize || TILE_SIZE}+${record.tileOverlap || 0}`;
+    const hash = crypto.createHash('sha1')
+      .update([imageId, source, this.getTilesVersion(imageId), seriesIndex, encoding.key, layout, rendering ? rendering.key : '', color ? color.key : '', plane ? plane.key : '', level, x, y].join('|'))
+      .digest('base64url');
+    return `"${hash}"`;
+  }
+
+  /**
+   * Validate setting changes and apply them to a copy of the current settings
+   * @param {Object} current - Current settings
+   * @param {Object} changes - Settings to change
+   * @returns {Object} New settings
+   */
+  applySettingChanges(current, changes) {
+    const settings = { ...current };
+    
+    if (changes.tileFormat !== undefined) {
+      settings.tileFormat = this.resolveEncoding(changes.tileFormat).format;
+    }
+    if (changes.tileQuality !== undefined) {
+      settings.tileQuality = changes.tileQuality === null || changes.tileQuality === ''
+        ? null
+        : this.parseQuality(changes.tileQuality);
+    }
+    if (changes.tileSize !== undefined) {
+      const tileSize = Number(changes.tileSize);
+      if (!TILE_SIZES.includes(tileSize)) {
+        throw new Error(`Tile size must be one of ${TILE_SIZES.join(', ')}`);
+      }
+      settings.tileSize = tileSize;
+    }
+    if (changes.tileOverlap !== undefined) {
+      const tileOverlap = Number(changes.tileOverlap);
+      if (!Number.isInteger(tileOverlap) || tileOverlap < 0 || tileOverlap > MAX_TILE_OVERLAP) {
+        throw new Error(`Tile overlap must be an integer between 0 and ${MAX_TILE_OVERLAP}`);
+      }
+      settings.tileOverlap = tileOverlap;
+    }
+    if (changes.name !== undefined) {
+      const name = changes.name === null ? '' : String(changes.name).trim();
+      if (name.length > MAX_NAME_LENGTH) {
+        throw new Error(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+      settings.name = name || null;
+    }
+    if (changes.description !== undefined) {
+      const description = changes.description === null ? '' : String(changes.description);
+      if (description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new Error(`Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+      }
+      settings.description = description;
+    }
+    if (changes.tags !== undefined) {
+      settings.tags = this.parseTags(changes.tags);
+    }
+    
+    return settings;
+  }
+
+  /**
+   * Normalize tags from an array or a comma-separated string
+   * @param {Array<string>|string} tags - Tags
+   * @returns {Array<string>} Trimmed, de-duplicated tags
+   */
+  parseTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const normalized = [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+    if (normalized.length > MAX_TAGS) {
+      throw new Error(`At most ${MAX_TAGS} tags are allowed`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Parse and validate an encoder quality (1-100)
+   * @param {number|string} quality - Requested quality
+   * @returns {number} Quality
+   */
+  parseQuality(quality) {
+    const value = parseInt(quality, 10);
+    if (Number.isNaN(value) || value < 1 || value > 100) {
+      throw new Error(`Invalid tile quality: ${quality}`);
+    }
+    return value;
+  }
+
+  /**
+   * Resolve a tile format or file extension to an encoding
+   * @param {string} format - Format name or extension (jpg, jpeg, png, webp, avif)
+   * @param {number|string|null} quality - Encoder quality, or null for the default
+   * @returns {Object} Encoding with format, quality, extension, MIME type and cache key
+   */
+  resolveEncoding(format, quality = null) {
+    const name = String(format).toLowerCase() === 'jpg' ? 'jpeg' : String(format).toLowerCase();
+    const encoder = TILE_ENCODINGS[name];
+    if (!encoder) {
+      throw new Error(`Unsupported tile format: ${format}`);
+    }
+    
+    const resolvedQuality = encoder.defaultQuality === null
+      ? null
+      : (quality === null || quality === undefined ? encoder.defaultQuality : this.parseQuality(quality));
+    
+    return {
+      format: name,
+      quality: resolvedQuality,
+      extension: encoder.extension,
+      mimeType: encoder.mimeType,
+      key: resolvedQuality === null ? name : `${name}-q${resolvedQuality}`
+    };
+  }
+
+  /**
+   * Resolve the encoding for a tile request
+   * The URL extension picks the encoder; quality comes from the request,
+   * then from the image settings when they use the same format.
+   * @param {string} imageId - Image ID
+   * @param {string} format - Requested format or extension
+   * @param {number|string} quality - Requested quality (optional)
+   * @returns {Promise<Object>} Encoding
+   */
+  async getTileEncoding(imageId, format = null, quality = null) {
+    const settings = await this.getImageSettings(imageId);
+    const encoding = this.resolveEncoding(format || settings.tileFormat);
+    
+    if (quality !== null && quality !== undefined && quality !== '') {
+      return this.resolveEncoding(encoding.format, quality);
+    }
+    if (encoding.format === settings.tileFormat && settings.tileQuality !== null) {
+      return this.resolveEncoding(encoding.format, settings.tileQuality);
+    }
+    return encoding;
+  }
+
+  /**
+   * Tile size and overlap of an image
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object>} tileSize, overlap and the cache directory suffix
+   */
+  async getTileLayout(imageId) {
+    const { tileSize, tileOverlap } = await this.getImageSettings(imageId);
+    return {
+      tileSize,
+      overlap: tileOverlap,
+      // The default layout keeps the plain encoding directory
+      key: tileSize === TILE_SIZE && tileOverlap === 0 ? '' : `-t${tileSize}o${tileOverlap}`
+    };
   }
 
   /**
@@ -44,46 +645,645 @@ class TileGenerator {
     });
     const metadata = await image.metadata();
     
+    // Enumerate scanned regions and associated images stored as extra pages
+    let series;
+    let directories = [];
+    try {
+      directories = await TiffReader.readDirectories(imagePath);
+      series = groupSeries(directories);
+    } catch (error) {
+      series = [];
+    }
+    if (series.length === 0) {
+      series = [{
+        index: 0,
+        name: 'Series 0',
+        page: 0,
+        width: metadata.width,
+        height: metadata.height,
+        levels: [{ page: 0, width: metadata.width, height: metadata.height, iccProfile: Boolean(metadata.icc) }]
+      }];
+    }
+    
+    // Sharp builds that ignore the subifd option read the main page instead;
+    // SubIFD levels are only used where they read at their own size
+    const subifdLevel = series.flatMap(entry => entry.levels).find(level => level.subifd !== undefined);
+    if (subifdLevel) {
+      const { width } = await sharp(imagePath, this.pageInputOptions(subifdLevel)).metadata();
+      if (width !== subifdLevel.width) {
+        series.forEach((entry) => {
+          entry.levels = entry.levels.filter(level => level.subifd === undefined);
+        });
+      }
+    }
+    
+    // High-bit-depth and multi-channel series are rendered through channel windows and LUTs
+    for (const entry of series) {
+      if (entry.planes) {
+        entry.planes.channelRenderings = await this.describePlaneChannels(imagePath, entry);
+      } else {
+        entry.planes = null;
+      }
+      entry.channelRendering = entry.planes
+        ? entry.planes.channelRenderings[0]
+        : await this.describeChannelRendering(imagePath, entry);
+      entry.iccProfile = await this.describeIccProfile(imagePath, entry);
+    }
+    
+    return {
+      width: metadata.width,
+      height: metadata.height,
+      format: metadata.format,
+      space: metadata.space,
+      channels: metadata.channels,
+      depth: metadata.depth,
+      hasAlpha: metadata.hasAlpha,
+      pages: metadata.pages || 1,
+      description: directories.length ? directories[0].description : '',
+      // Resolution, objective, scanner and scan date from the vendor's metadata
+      vendorMetadata: parseVendorMetadata(directories),
+      series: series
+    };
+  }
+
+  /**
+   * Describe the channels of a series if it needs channel rendering
+   * @param {string} imagePath - Path to the image file
+   * @param {Object} series - Series with its native levels
+   * @returns {Promise<Object|null>} Channel description, or null for 8-bit RGB/gray series
+   */
+  async describeChannelRendering(imagePath, series) {
+    const smallest = series.levels[series.levels.length - 1];
+    const inputOptions = this.pageInputOptions(smallest);
+    const pageMetadata = await sharp(imagePath, inputOptions).metadata();
+    if (!channelRendering.needsChannelRendering(pageMetadata)) {
+      return null;
+    }
+    return channelRendering.describeChannels(imagePath, inputOptions, pageMetadata);
+  }
+
+  /**
+   * Describe the channels of an OME-TIFF series, one rendering per OME channel
+   * Each channel's window comes from its first Z-plane and time point; a
+   * single-sample plane takes the OME channel's name and color.
+   * @param {string} imagePath - Path to the image file
+   * @param {Object} series - Series with its planes
+   * @returns {Promise<Array<Object>>} Channel description of each OME channel
+   */
+  async describePlaneChannels(imagePath, series) {
+    const renderings = [];
+    for (let c = 0; c < series.planes.sizes.c; c++) {
+      const page = series.planes.pages[`${c},0,0`];
+      const smallest = series.levels[series.levels.length - 1];
+      const inputOptions = this.pageInputOptions({ ...smallest, page: page === undefined ? smallest.page : page });
+      const pageMetadata = await sharp(imagePath, inputOptions).metadata();
+      const description = await channelRendering.describeChannels(imagePath, inputOptions, pageMetadata);
+      if (description.channels.length === 1) {
+        description.channels[0].name = series.planes.channels[c].name;
+        description.channels[0].color = series.planes.channels[c].color;
+      }
+      renderings.push(description);
+    }
+    return renderings;
+  }
+
+  /**
+   * Describe the ICC profile a series' pages embed
+   * @param {string} imagePath - Path to the image file
+   * @param {Object} series - Series with its native levels
+   * @returns {Promise<Object|null>} Profile summary and the page it is read from, or null
+   */
+  async describeIccProfile(imagePath, series) {
+    const level = series.levels.find(entry => entry.iccProfile);
+    if (!level) {
+      return null;
+    }
+    const { icc } = await sharp(imagePath, this.pageInputOptions(level)).metadata();
+    if (!icc) {
+      return null;
+    }
+    let profile;
+    try {
+      profile = colorManagement.parseIccProfile(icc);
+    } catch (error) {
+      return null;
+    }
+    
+    const description = { ...profile, page: level.page };
+    if (level.subifd !== undefined) {
+      description.subifd = level.subifd;
+    }
+    return description;
+  }
+
+  /**
+   * Resolve how a tile or region request handles the series' color profile
+   * @param {string} imagePath - Path to the image file
+   * @param {Object} series - Series from getSeries()
+   * @param {string} value - ?color= parameter: srgb (default), p3 or raw
+   * @returns {Promise<Object>} Color mode, cache key and ICC profile (null when the series has none)
+   */
+  async resolveColorManagement(imagePath, series, value = null) {
+    const mode = colorManagement.parseColorMode(value);
+    let profile = null;
+    if (series.iccProfile && series.iccProfile.colorSpace === 'RGB') {
+      const cacheKey = `${imagePath}#${series.index}`;
+      if (!this.iccProfiles.has(cacheKey)) {
+        const pending = sharp(imagePath, this.pageInputOptions(series.iccProfile)).metadata()
+          .then(metadata => metadata.icc);
+        pending.catch(() => this.iccProfiles.delete(cacheKey));
+        this.iccProfiles.set(cacheKey, pending);
+      }
+      profile = await this.iccProfiles.get(cacheKey);
+    }
+    
+    // Without a profile, device colors are sRGB already and share its tiles
+    const key = mode === 'p3' || (mode === 'raw' && profile) ? `-${mode}` : '';
+    return { mode, key, profile };
+  }
+
+  /**
+   * Resolve the color management requested for an image
+   * @param {string} imageId - Image ID
+   * @param {number} seriesIndex - Series index
+   * @param {string} value - ?color= parameter (optional)
+   * @returns {Promise<Object>} Color management
+   */
+  async getColorManagement(imageId, seriesIndex, value = null) {
+    const imagePath = await this.resolveImagePath(imageId);
+    const series = this.getSeries(await this.getCachedMetadata(imageId, imagePath), seriesIndex);
+    return this.resolveColorManagement(imagePath, series, value);
+  }
+
+  /**
+   * Resolve the channel rendering of a tile or region request
+   * @param {Object} series - Series from getSeries()
+   * @param {string} value - ?channels= parameter (optional)
+   * @returns {Object|null} Rendering, or null for series rendered as plain RGB
+   */
+  resolveChannelRendering(series, value = null) {
+    if (!series.channelRendering) {
+      if (value) {
+        throw new Error('Channel rendering is only available for high-bit-depth and multi-channel images');
+      }
+      return null;
+    }
+    return value
+      ? channelRendering.parseChannels(value, series.channelRendering)
+      : channelRendering.defaultRendering(series.channelRendering);
+  }
+
+  /**
+   * Resolve the channel rendering requested for an image
+   * @param {string} imageId - Image ID
+   * @param {number} seriesIndex - Series index
+   * @param {string} value - ?channels= parameter (optional)
+   * @param {Object} plane - OME-TIFF plane from resolvePlane() (optional)
+   * @returns {Promise<Object|null>} Rendering, or null for series rendered as plain RGB
+   */
+  async getChannelRendering(imageId, seriesIndex, value = null, plane = null) {
+    const series = this.selectPlane(this.getSeries(await this.getMetadataById(imageId), seriesIndex), plane);
+    return this.resolveChannelRendering(series, value);
+  }
+
+  /**
+   * Look up one series of an image
+   * @param {Object} metadata - Image metadata
+   * @param {number} seriesIndex - Series index
+   * @returns {Object} Series description
+   */
+  getSeries(metadata, seriesIndex = 0) {
+    const series = metadata.series[seriesIndex];
+    if (!series) {
+      throw new Error(`Series not found: ${seriesIndex}`);
+    }
+    return series;
+  }
+
+  /**
+   * Validate the ?c=, ?z= and ?t= parameters of an OME-TIFF series
+   * @param {Object} series - Series from getSeries()
+   * @param {Object} query - c (channel), z (Z-plane) and t (time point); each defaults to 0
+   * @returns {Object|null} c, z, t, page and cache key, or null for series without planes
+   */
+  resolvePlane(series, query = {}) {
+    const given = PLANE_AXES.filter(axis => query[axis] !== undefined && query[axis] !== '');
+    if (!series.planes) {
+      if (given.length > 0) {
+        throw new Error('c, z and t are only available for OME-TIFF images with several planes');
+      }
+      return null;
+    }
+    
+    const plane = {};
+    for (const axis of PLANE_AXES) {
+      const value = given.includes(axis) ? Number(query[axis]) : 0;
+      const size = series.planes.sizes[axis];
+      if (!Number.isInteger(value) || value < 0 || value >= size) {
+        throw new Error(`Invalid ${axis}: ${query[axis]} (the image has ${size} ${PLANE_AXIS_NAMES[axis]})`);
+      }
+      plane[axis] = value;
+    }
+    const page = series.planes.pages[`${plane.c},${plane.z},${plane.t}`];
+    if (page === undefined) {
+      throw new Error(`Plane c=${plane.c}, z=${plane.z}, t=${plane.t} is missing from the file`);
+    }
+    return { ...plane, page, key: `-c${plane.c}z${plane.z}t${plane.t}` };
+  }
+
+  /**
+   * Resolve the plane requested for an image
+   * @param {string} imageId - Image ID
+   * @param {number} seriesIndex - Series index
+   * @param {Object} query - c, z and t parameters
+   * @returns {Promise<Object|null>} Plane, or null for series without planes
+   */
+  async getPlane(imageId, seriesIndex, query = {}) {
+    const series = this.getSeries(await this.getMetadataById(imageId), seriesIndex);
+    return this.resolvePlane(series, query);
+  }
+
+  /**
+   * View of a series that reads one OME-TIFF plane: every level moves to the
+   * plane's IFD (keeping its SubIFD) and channels render as that OME channel
+   * @param {Object} series - Series from getSeries()
+   * @param {Object} plane - Plane from resolvePlane() (null returns the series)
+   * @returns {Object} Series description
+   */
+  selectPlane(series, plane) {
+    if (!plane) {
+      return series;
+    }
+    return {
+      ...series,
+      levels: series.levels.map(level => ({ ...level, page: plane.page })),
+      channelRendering: series.planes.channelRenderings[plane.c]
+    };
+  }
+
+  /**
+   * Summarize the planes of an OME-TIFF series for API responses
+   * @param {Object} series - Series description
+   * @returns {Object|null} sizes (c, z, t) and channels (name, color and default rendering channels)
+   */
+  describePlanes(series) {
+    if (!series.planes) {
+      return null;
+    }
+    return {
+      sizes: series.planes.sizes,
+      channels: series.planes.channels.map((channel, c) => ({
+        ...channel,
+        rendering: series.planes.channelRenderings[c] ? series.planes.channelRenderings[c].channels : null
+      }))
+    };
+  }
+
+  /**
+   * Summarize the series of an image for API responses
+   * @param {Object} metadata - Image metadata
+   * @returns {Array<Object>} Series index, name, page, dimensions, ICC profile and OME-TIFF planes
+   */
+  describeSeries(metadata) {
+    return metadata.series.map(series => ({
+      index: series.index,
+      name: series.name,
+      page: series.page,
+      width: series.width,
+      height: series.height,
+      iccProfile: this.summarizeIccProfile(series),
+      planes: this.describePlanes(series)
+    }));
+  }
+
+  /**
+   * ICC profile of a series for API responses (without its location in the file)
+   * @param {Object} series - Series description
+   * @returns {Object|null} description, deviceClass, colorSpace, connectionSpace, version and size
+   */
+  summarizeIccProfile(series) {
+    if (!series.iccProfile) {
+      return null;
+    }
+    const { page, subifd, ...profile } = series.iccProfile;
+    return profile;
+  }
+
+  /**
+   * Get cached metadata or extract from file
+   * @param {string} imageId - Image ID
+   * @param {string} imagePath - Path to the image file
+   * @returns {Promise<Object>} Image metadata
+   */
+  async getCachedMetadata(imageId, imagePath) {
+    // Check cache first, then the catalog
+    if (this.metadataCache.has(imageId)) {
+      return this.metadataCache.get(imageId);
+    }
+    const record = this.catalog.get(imageId);
+    const isCurrent = metadata => metadata.vendorMetadata !== undefined && metadata.series.every(series =>
+      series.channelRendering !== undefined && series.iccProfile !== undefined && series.planes !== undefined);
+    if (record && record.metadata && isCurrent(record.metadata)) {
+      this.metadataCache.set(imageId, record.metadata);
+      return record.metadata;
+    }
+    
+    // Extract metadata and cache it (records from before channel rendering,
+    // color management, vendor metadata and OME-TIFF planes are re-probed once)
+    const metadata = await this.getImageMetadata(imagePath);
+    this.metadataCache.set(imageId, metadata);
+    if (record) {
+      await this.catalog.update(imageId, { metadata, vendor: metadata.vendorMetadata.vendor });
+      // Cached tiles of profiled images were converted on some pages only
+      const probedColor = record.metadata && record.metadata.series.every(series => series.iccProfile !== undefined);
+      // OME-TIFF planes used to be listed as series of their own
+      const probedPlanes = record.metadata && record.metadata.series.every(series => series.planes !== undefined);
+      if (record.metadata && ((!probedColor && metadata.series.some(series => series.iccProfile)) ||
+          (!probedPlanes && metadata.series.some(series => series.planes)))) {
+        await this.purgeTiles(imageId);
+      }
+    }
+    return metadata;
+  }
+
+  /**
+   * Resolve the path of an uploaded original by image ID
+   * @param {string} imageId - Image ID
+   * @returns {Promise<string>} Path to the original image file
+   */
+  async resolveImagePath(imageId) {
+    // IDs are UUIDs; anything else could escape originalDir or match another image
+    if (!/^[\w-]+$/.test(String(imageId))) {
+      throw new Error(`Image not found: ${imageId}`);
+    }
+    
+    let imagePath = path.join(this.originalDir, `${imageId}.tif`);
+    
+    try {
+      await fs.access(imagePath);
+    } catch (error) {
+      const files = await fs.readdir(this.originalDir);
+      const imageFile = files.find(f => path.parse(f).name === imageId);
+      if (!imageFile) {
+        throw new Error(`Image not found: ${imageId}`);
+      }
+      imagePath = path.join(this.originalDir, imageFile);
+    }
+    
+    return imagePath;
+  }
+
+  /**
+   * Get cached metadata for an uploaded image by ID
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object>} Image metadata
+   */
+  async getMetadataById(imageId) {
+    const imagePath = await this.resolveImagePath(imageId);
+    return this.getCachedMetadata(imageId, imagePath);
+  }
+
+  /**
+   * Get the normalized vendor metadata of an image
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object>} vendor, mppX, mppY, objectivePower, scannerModel, scannerId, scanDate and properties
+   */
+  async getVendorMetadata(imageId) {
+    const metadata = await this.getMetadataById(imageId);
+    return metadata.vendorMetadata;
+  }
+
+  /**
+   * Calculate the number of pyramid levels
+   * Levels follow the Deep Zoom convention: level 0 is 1×1 and the last level
+   * is full resolution, so any standard DZI client can address our tiles.
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {number} Number of levels
+   */
+  calculateLevels(width, height) {
+    const maxDimension = Math.max(width, height);
+    return Math.ceil(Math.log2(maxDimension)) + 1;
+  }
+
+  /**
+   * Calculate the size and tile grid of one pyramid level
+   * @param {number} width - Full-resolution width
+   * @param {number} height - Full-resolution height
+   * @param {number} level - Pyramid level
+   * @param {number} tileSize - Tile size in pixels
+   * @returns {Object} Level width, height, columns and rows
+   */
+  getLevelGrid(width, height, level, tileSize = TILE_SIZE) {
+    const scale = Math.pow(2, this.calculateLevels(width, height) - level - 1);
+    const levelWidth = Math.ceil(width / scale);
+    const levelHeight = Math.ceil(height / scale);
+    
+    return {
+      width: levelWidth,
+      height: levelHeight,
+      columns: Math.ceil(levelWidth / tileSize),
+      rows: Math.ceil(levelHeight / tileSize)
+    };
+  }
+
+  /**
+   * Describe the tile pyramid of a series for viewers
+   * Clients use this instead of repeating the level math.
+   * @param {string} imageId - Image ID
+   * @param {number} seriesIndex - Series index
+   * @returns {Promise<Object>} Size, tile layout, format, levels (smallest first), channels and planes
+   */
+  async getPyramid(imageId, seriesIndex = 0) {
+    const series = this.getSeries(await this.getMetadataById(imageId), seriesIndex);
+    const settings = await this.getImageSettings(imageId);
+    const levelCount = this.calculateLevels(series.width, series.height);
+    
+    const levels = [];
+    for (let level = 0; level < levelCount; level++) {
+      const grid = this.getLevelGrid(series.width, series.height, level, settings.tileSize);
+      levels.push({
+        width: grid.width,
+        height: grid.height,
+        tileWidth: settings.tileSize,
+        tileHeight: settings.tileSize
+      });
+    }
+    
+    return {
+      series: series.index,
+      width: series.width,
+      height: series.height,
+      tileSize: settings.tileSize,
+      tileOverlap: settings.tileOverlap,
+      tileFormat: settings.tileFormat,
+      levels,
+      // Channels with their default colors and windows (null for plain RGB series)
+      channels: series.channelRendering ? series.channelRendering.channels : null,
+      iccProfile: this.summarizeIccProfile(series),
+      // Channels, Z-planes and time points of OME-TIFF series (tiles take ?c=&z=&t=)
+      planes: this.describePlanes(series)
+    };
+  }
+
+  /**
+   * Build a Deep Zoom (.dzi) XML descriptor for an uploaded image
+   * @param {string} imageId - Image ID
+   * @param {number} seriesIndex - Series to describe
+   * @param {string} format - Tile format (defaults to the image setting)
+   * @param {Object} size - width and height to advertise instead of the series' (share links)
+   * @returns {Promise<string>} DZI XML document
+   */
+  async getDziDescriptor(imageId, seriesIndex = 0, format = null, size = null) {
+    const imagePath = await this.resolveImagePath(imageId);
+    const metadata = size || this.getSeries(await this.getCachedMetadata(imageId, imagePath), seriesIndex);
+    const encoding = await this.getTileEncoding(imageId, format);
+    const layout = await this.getTileLayout(imageId);
+    
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<Image xmlns="http://schemas.microsoft.com/deepzoom/2008" Format="${encoding.format}" Overlap="${layout.overlap}" TileSize="${layout.tileSize}">`,
+      `  <Size Width="${metadata.width}" Height="${metadata.height}"/>`,
+      '</Image>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Validate the restrictions of a new share link against the main series
+   * @param {string} imageId - Image ID
+   * @param {Object} options - maxLevel (deepest Deep Zoom level) and region ({ x, y, width, height }), both optional
+   * @returns {Promise<Object>} maxLevel and region (clipped to the image), null when unrestricted
+   */
+  async resolveShareScope(imageId, options = {}) {
+    const series = this.getSeries(await this.getMetadataById(imageId), 0);
+    const levelCount = this.calculateLevels(series.width, series.height);
+    
+    let maxLevel = null;
+    if (options.maxLevel !== undefined && options.maxLevel !== null) {
+      maxLevel = Number(options.maxLevel);
+      if (!Number.isInteger(maxLevel) || maxLevel < 0 || maxLevel >= levelCount) {
+        throw new Error(`maxLevel must be an integer between 0 and ${levelCount - 1}`);
+      }
+    }
+    
+    let region = null;
+    if (options.region) {
+      const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(key => Number(options.region[key]));
+      if (![x, y, width, height].every(Number.isInteger) || x < 0 || y < 0 || width <= 0 || height <= 0) {
+        throw new Error('region needs integer x, y, width and height (x, y ≥ 0; width, height > 0)');
+      }
+      if (x >= series.width || y >= series.height) {
+        throw new Error(`region is outside the image (${series.width} × ${series.height})`);
+      }
+      region = { x, y, width: Math.min(width, series.width - x), height: Math.min(height, series.height - y) };
+    }
+    
+    return { maxLevel, region };
+  }
+
+  /**
+   * The image a share link exposes: its region (or the whole main series)
+   * at no more than the resolution of its maximum level
+   * @param {Object} series - Main series
+   * @param {Object} share - Verified share link (maxLevel and region)
+   * @returns {Object} width, height and downsample from full resolution
+   */
+  getShareView(series, share) {
+    const topLevel = this.calculateLevels(series.width, series.height) - 1;
+    const downsample = share.maxLevel === null ? 1 : Math.pow(2, topLevel - share.maxLevel);
+    const area = share.region || { width: series.width, height: series.height };
     return {
-      width: metadata.width,
-      height: metadata.height,
-      format: metadata.format,
-      space: metadata.space,
-      channels: metadata.channels,
-      depth: metadata.depth,
-      hasAlpha: metadata.hasAlpha,
-      pages: metadata.pages || 1
+      width: Math.ceil(area.width / downsample),
+      height: Math.ceil(area.height / downsample),
+      downsample
     };
   }
 
   /**
-   * Get cached metadata or extract from file
+   * Describe the image a share link exposes
    * @param {string} imageId - Image ID
-   * @param {string} imagePath - Path to the image file
-   * @returns {Promise<Object>} Image metadata
+   * @param {Object} share - Verified share link
+   * @returns {Promise<Object>} width, height and downsample
    */
-  async getCachedMetadata(imageId, imagePath) {
-    // Check cache first
-    if (this.metadataCache.has(imageId)) {
-      return this.metadataCache.get(imageId);
+  async getShareViewById(imageId, share) {
+    return this.getShareView(this.getSeries(await this.getMetadataById(imageId), 0), share);
+  }
+
+  /**
+   * Generate a tile of a region share link. The region is served as an image
+   * of its own, with Deep Zoom levels over the region only, so tiles outside
+   * it cannot be addressed.
+   * @param {string} imageId - Image ID
+   * @param {Object} share - Verified share link with a region
+   * @param {number} level - Pyramid level of the shared region
+   * @param {number} x - Tile X coordinate
+   * @param {number} y - Tile Y coordinate
+   * @param {Object} encoding - Tile encoding from resolveEncoding()
+   * @returns {Promise<string|null>} Path to the tile, or null outside the region's pyramid
+   */
+  async generateSharedTile(imageId, share, level, x, y, encoding) {
+    const imagePath = await this.resolveImagePath(imageId);
+    const series = this.getSeries(await this.getCachedMetadata(imageId, imagePath), 0);
+    const layout = await this.getTileLayout(imageId);
+    const view = this.getShareView(series, share);
+    
+    const levelCount = this.calculateLevels(view.width, view.height);
+    if (level < 0 || level >= levelCount) {
+      return null;
+    }
+    const grid = this.getLevelGrid(view.width, view.height, level, layout.tileSize);
+    if (x * layout.tileSize >= grid.width || y * layout.tileSize >= grid.height) {
+      return null;
     }
     
-    // Extract metadata and cache it
-    const metadata = await this.getImageMetadata(imagePath);
-    this.metadataCache.set(imageId, metadata);
-    return metadata;
+    // Tile area on the region's level (with overlap), then in full-resolution pixels
+    const left = Math.max(0, x * layout.tileSize - layout.overlap);
+    const top = Math.max(0, y * layout.tileSize - layout.overlap);
+    const width = Math.min(grid.width, (x + 1) * layout.tileSize + layout.overlap) - left;
+    const height = Math.min(grid.height, (y + 1) * layout.tileSize + layout.overlap) - top;
+    const scale = Math.pow(2, levelCount - level - 1) * view.downsample;
+    const { region } = share;
+    const source = { left: region.x + left * scale, top: region.y + top * scale };
+    source.width = Math.min(width * scale, region.x + region.width - source.left);
+    source.height = Math.min(height * scale, region.y + region.height - source.top);
+    
+    const tilePath = path.join(
+      this.tilesDir,
+      imageId,
+      's0',
+      `${encoding.key}${layout.key}-share${region.x}_${region.y}_${region.width}_${region.height}_${view.downsample}`,
+      String(level),
+      `${x}_${y}.${encoding.extension}`
+    );
+    return this.renderCached(imageId, tilePath, encoding.format, async () => {
+      const rendering = this.resolveChannelRendering(series);
+      const color = await this.resolveColorManagement(imagePath, series);
+      const pipeline = rendering
+        ? await this.renderChannelRegion(imagePath, series.levels, series.width, source, scale, width, height, rendering)
+        : await this.extractRegion(imagePath, series.levels, series.width, source, scale, width, height, 'nearest', color);
+      return this.writeImageFile(this.encodeTile(this.convertColor(pipeline, color), encoding), tilePath);
+    });
   }
 
   /**
-   * Calculate the number of pyramid levels
-   * @param {number} width - Image width
-   * @param {number} height - Image height
-   * @param {number} tileSize - Tile size
-   * @returns {number} Number of levels
+   * Pick the native pyramid level to read a tile from
+   * Chooses the coarsest level that still has at least the resolution needed,
+   * so low zoom levels read a small IFD instead of the full-resolution page.
+   * @param {Array<Object>} nativeLevels - Levels of the series, largest first
+   * @param {number} originalWidth - Full-resolution width of the series
+   * @param {number} scale - Downsample factor of the requested pyramid level
+   * @returns {Object} Native level with its downsample factor
    */
-  calculateLevels(width, height, tileSize = 256) {
-    const maxDimension = Math.max(width, height);
-    return Math.ceil(Math.log2(maxDimension / tileSize)) + 1;
+  selectNativeLevel(nativeLevels, originalWidth, scale) {
+    let selected = null;
+    for (const nativeLevel of nativeLevels) {
+      const downsample = originalWidth / nativeLevel.width;
+      if (!selected || downsample <= scale) {
+        selected = { ...nativeLevel, downsample };
+      }
+    }
+    return selected;
   }
 
   /**
@@ -96,62 +1296,283 @@ class TileGenerator {
    * @param {number} tileSize - Tile size in pixels
    * @param {number} originalWidth - Original image width
    * @param {number} originalHeight - Original image height
+   * @param {Array<Object>} nativeLevels - Native pyramid pages of the series, largest first
+   * @param {Object} encoding - Tile encoding from resolveEncoding()
+   * @param {number} overlap - Pixels shared with each neighbouring tile
+   * @param {Object} rendering - Channel rendering for high-bit-depth and multi-channel series
+   * @param {Object} color - Color management from resolveColorManagement()
    */
-  async generateTile(imagePath, outputPath, level, x, y, tileSize, originalWidth, originalHeight) {
+  async generateTile(imagePath, outputPath, level, x, y, tileSize, originalWidth, originalHeight, nativeLevels = null, encoding = null, overlap = 0, rendering = null, color = null) {
     // Calculate the scale factor for this level
-    const maxLevels = this.calculateLevels(originalWidth, originalHeight, tileSize);
+    const maxLevels = this.calculateLevels(originalWidth, originalHeight);
     const scale = Math.pow(2, maxLevels - level - 1);
     
     // Calculate scaled dimensions
     const scaledWidth = Math.ceil(originalWidth / scale);
     const scaledHeight = Math.ceil(originalHeight / scale);
     
-    // Calculate tile position and size at scaled level
-    const left = x * tileSize;
-    const top = y * tileSize;
-    const width = Math.min(tileSize, scaledWidth - left);
-    const height = Math.min(tileSize, scaledHeight - top);
-    
     // Skip if tile is outside image bounds
-    if (left >= scaledWidth || top >= scaledHeight) {
+    if (x * tileSize >= scaledWidth || y * tileSize >= scaledHeight) {
       return null;
     }
     
-    // Ensure output directory exists
-    await fs.mkdir(path.dirname(outputPath), { recursive: true });
-    
-    // OPTIMIZED: Extract region from original image first, then resize
-    // This is much faster for gigapixel images than resizing the whole image
-    const originalLeft = Math.floor(left * scale);
-    const originalTop = Math.floor(top * scale);
-    const originalWidth_region = Math.ceil(width * scale);
-    const originalHeight_region = Math.ceil(height * scale);
+    // Calculate tile position and size at scaled level; overlap extends
+    // every inner edge into the neighbouring tiles (Deep Zoom convention)
+    const left = Math.max(0, x * tileSize - overlap);
+    const top = Math.max(0, y * tileSize - overlap);
+    const width = Math.min(scaledWidth, (x + 1) * tileSize + overlap) - left;
+    const height = Math.min(scaledHeight, (y + 1) * tileSize + overlap) - top;
     
     // Generate the tile with optimized settings for speed
+    const levels = nativeLevels || [{ page: 0, width: originalWidth, height: originalHeight }];
+    const region = { left: left * scale, top: top * scale, width: width * scale, height: height * scale };
+    const pipeline = rendering
+      ? await this.renderChannelRegion(imagePath, levels, originalWidth, region, scale, width, height, rendering)
+      : await this.extractRegion(
+        imagePath,
+        levels,
+        originalWidth,
+        region,
+        scale,
+        width,
+        height,
+        'nearest', // Fastest resize algorithm
+        color
+      );
+    
+    return this.writeImageFile(this.encodeTile(this.convertColor(pipeline, color), encoding || this.resolveEncoding('jpeg')), outputPath);
+  }
+
+  /**
+   * Build a tile by area-averaging the cached tiles of the next finer level
+   * Each tile covers twice its size on the finer level: up to four children,
+   * more when the tile's overlap reaches into their neighbours. Only the
+   * inner (non-overlap) part of every child is used, so edges line up exactly.
+   * @param {string} outputPath - Path to save the tile; children are read from its sibling level directory
+   * @param {number} level - Pyramid level
+   * @param {number} x - Tile X coordinate
+   * @param {number} y - Tile Y coordinate
+   * @param {number} tileSize - Tile size in pixels
+   * @param {number} originalWidth - Original image width
+   * @param {number} originalHeight - Original image height
+   * @param {Object} encoding - Tile encoding from resolveEncoding()
+   * @param {number} overlap - Pixels shared with each neighbouring tile
+   * @param {Object} color - Color management from resolveColorManagement()
+   * @returns {Promise<string|null>} outputPath, or null when a child is not cached
+   */
+  async composeTileFromChildren(outputPath, level, x, y, tileSize, originalWidth, originalHeight, encoding, overlap = 0, color = null) {
+    if (level >= this.calculateLevels(originalWidth, originalHeight) - 1) {
+      return null;
+    }
+    
+    const parent = this.getLevelGrid(originalWidth, originalHeight, level, tileSize);
+    const child = this.getLevelGrid(originalWidth, originalHeight, level + 1, tileSize);
+    if (x * tileSize >= parent.width || y * tileSize >= parent.height) {
+      return null;
+    }
+    
+    // Area of the tile (with overlap) on the finer level
+    const left = 2 * Math.max(0, x * tileSize - overlap);
+    const top = 2 * Math.max(0, y * tileSize - overlap);
+    const width = Math.min(child.width, 2 * ((x + 1) * tileSize + overlap)) - left;
+    const height = Math.min(child.height, 2 * ((y + 1) * tileSize + overlap)) - top;
+    
+    const childDir = path.join(path.dirname(path.dirname(outputPath)), String(level + 1));
+    const children = [];
+    for (let cy = Math.floor(top / tileSize); cy <= Math.floor((top + height - 1) / tileSize); cy++) {
+      for (let cx = Math.floor(left / tileSize); cx <= Math.floor((left + width - 1) / tileSize); cx++) {
+        const childPath = path.join(childDir, `${cx}_${cy}.${encoding.extension}`);
+        if (!(await isValidTileFile(childPath, encoding.format))) {
+          return null;
+        }
+        children.push({ path: childPath, x: cx, y: cy });
+      }
+    }
+    
+    let canvas = null;
+    let channels = 0;
+    for (const tile of children) {
+      // Children are already in the output color space; read their values as stored
+      const { data, info } = await sharp(tile.path, { ignoreIcc: true }).raw().toBuffer({ resolveWithObject: true });
+      
+      // Inner area of the child on the finer level, and where it starts in the file
+      const innerLeft = tile.x * tileSize;
+      const innerTop = tile.y * tileSize;
+      const offsetX = tile.x > 0 ? overlap : 0;
+      const offsetY = tile.y > 0 ? overlap : 0;
+      const expectedWidth = Math.min(child.width, innerLeft + tileSize + overlap) - (innerLeft - offsetX);
+      const expectedHeight = Math.min(child.height, innerTop + tileSize + overlap) - (innerTop - offsetY);
+      
+      // A child from another layout or bit depth cannot be composed; use the source
+      if (info.width !== expectedWidth || info.height !== expectedHeight ||
+          data.length !== info.width * info.height * info.channels ||
+          (channels && info.channels !== channels)) {
+        return null;
+      }
+      if (!canvas) {
+        channels = info.channels;
+        canvas = Buffer.alloc(width * height * channels);
+      }
+      
+      // Copy the part of the inner area that falls inside the tile
+      const fromX = Math.max(left, innerLeft);
+      const toX = Math.min(left + width, innerLeft + tileSize, child.width);
+      const fromY = Math.max(top, innerTop);
+      const toY = Math.min(top + height, innerTop + tileSize, child.height);
+      for (let row = fromY; row < toY; row++) {
+        const sourceStart = ((row - innerTop + offsetY) * info.width + (fromX - innerLeft + offsetX)) * channels;
+        data.copy(
+          canvas,
+          ((row - top) * width + (fromX - left)) * channels,
+          sourceStart,
+          sourceStart + (toX - fromX) * channels
+        );
+      }
+    }
+    
+    const halved = downsampleByTwo(canvas, width, height, channels);
+    let pipeline = sharp(halved.data, {
+      raw: { width: halved.width, height: halved.height, channels }
+    });
+    // Display P3 values only need the profile attached again, not converted
+    if (color && color.mode === 'p3') {
+      pipeline = (await colorManagement.assignProfile(pipeline, await colorManagement.getDisplayP3Profile()))
+        .keepIccProfile();
+    }
+    
+    return this.writeImageFile(this.encodeTile(pipeline, encoding), outputPath);
+  }
+
+  /**
+   * Build a pipeline that extracts a region of a series and scales it down
+   * @param {string} imagePath - Path to the source image
+   * @param {Array<Object>} nativeLevels - Native pyramid pages of the series, largest first
+   * @param {number} originalWidth - Full-resolution width of the series
+   * @param {Object} region - left, top, width, height in full-resolution pixels
+   * @param {number} scale - Downsample factor of the output
+   * @param {number} outputWidth - Output width in pixels
+   * @param {number} outputHeight - Output height in pixels
+   * @param {string} kernel - Sharp resize kernel
+   * @param {Object} color - Color management from resolveColorManagement() (optional)
+   * @returns {Promise<Object>} Sharp pipeline (no encoder or output color conversion applied)
+   */
+  async extractRegion(imagePath, nativeLevels, originalWidth, region, scale, outputWidth, outputHeight, kernel = 'nearest', color = null) {
+    // Read from the closest native resolution instead of always using page 0
+    const source = this.selectNativeLevel(nativeLevels, originalWidth, scale);
+    
+    // OPTIMIZED: Extract region from the source page first, then resize
+    // This is much faster for gigapixel images than resizing the whole image
     // NOTE: Removed sequentialRead: true to allow random access to regions
-    await sharp(imagePath, {
-      limitInputPixels: false,
-      pages: 1 // Only read first page for multi-page TIFFs
-    })
-      .extract({
-        left: originalLeft,
-        top: originalTop,
-        width: Math.min(originalWidth_region, originalWidth - originalLeft),
-        height: Math.min(originalHeight_region, originalHeight - originalTop)
-      })
-      .resize(width, height, {
+    const pipeline = sharp(imagePath, this.pageInputOptions(source, color))
+      .extract(this.toSourceRegion(source, region))
+      .resize(outputWidth, outputHeight, {
         fit: 'fill',
-        kernel: 'nearest', // Fastest resize algorithm
+        kernel,
         fastShrinkOnLoad: true // Enable fast shrink-on-load
-      })
-      .jpeg({ 
-        quality: 75, // Lower quality for faster encoding
-        progressive: false, // Faster than progressive
-        mozjpeg: true // Use mozjpeg for better compression
-      })
-      .toFile(outputPath);
+      });
+    return this.assignSeriesProfile(pipeline, source, color);
+  }
+
+  /**
+   * Tag pixels read from a page without its own copy of the series' ICC
+   * profile (e.g. the downsampled pages of an SVS), so every pyramid level is
+   * converted from the same profile
+   * @param {Object} pipeline - Sharp pipeline reading the page
+   * @param {Object} nativeLevel - Native level the pipeline reads
+   * @param {Object} color - Color management from resolveColorManagement()
+   * @returns {Promise<Object>} Sharp pipeline
+   */
+  async assignSeriesProfile(pipeline, nativeLevel, color) {
+    if (!color || !color.profile || color.mode === 'raw' || nativeLevel.iccProfile) {
+      return pipeline;
+    }
+    return colorManagement.assignProfile(pipeline, color.profile);
+  }
+
+  /**
+   * Apply the output color space of a color mode
+   * Sharp converts pixels with an embedded profile to sRGB by default; Display
+   * P3 output is converted to and tagged with the P3 profile.
+   * @param {Object} pipeline - Sharp pipeline
+   * @param {Object} color - Color management from resolveColorManagement()
+   * @returns {Object} Sharp pipeline
+   */
+  convertColor(pipeline, color) {
+    return color && color.mode === 'p3' ? pipeline.withIccProfile('p3') : pipeline;
+  }
+
+  /**
+   * Map a full-resolution region onto a native level, clipped to the page
+   * @param {Object} source - Native level from selectNativeLevel()
+   * @param {Object} region - left, top, width, height in full-resolution pixels
+   * @returns {Object} left, top, width, height in page pixels
+   */
+  toSourceRegion(source, region) {
+    const left = Math.min(Math.floor(region.left / source.downsample), source.width - 1);
+    const top = Math.min(Math.floor(region.top / source.downsample), source.height - 1);
+    const width = Math.max(1, Math.ceil(region.width / source.downsample));
+    const height = Math.max(1, Math.ceil(region.height / source.downsample));
     
-    return outputPath;
+    return {
+      left,
+      top,
+      width: Math.min(width, source.width - left),
+      height: Math.min(height, source.height - top)
+    };
+  }
+
+  /**
+   * Render a region of a high-bit-depth or multi-channel series as 8-bit RGB
+   * Takes the same arguments as extractRegion(), plus the channel rendering.
+   * @param {Object} rendering - Channel rendering from resolveChannelRendering()
+   * @returns {Promise<Object>} Sharp pipeline over the composited RGB pixels
+   */
+  async renderChannelRegion(imagePath, nativeLevels, originalWidth, region, scale, outputWidth, outputHeight, rendering) {
+    const source = this.selectNativeLevel(nativeLevels, originalWidth, scale);
+    const sourceRegion = this.toSourceRegion(source, region);
+    const inputOptions = this.pageInputOptions(source);
+    
+    const planes = [];
+    for (const channel of rendering.channels) {
+      planes.push(await channelRendering.readChannel(
+        imagePath, inputOptions, rendering, sourceRegion, channel.index, outputWidth, outputHeight
+      ));
+    }
+    
+    const pixels = channelRendering.compositeChannels(planes, rendering.channels, outputWidth * outputHeight);
+    return sharp(pixels, { raw: { width: outputWidth, height: outputHeight, channels: 3 } });
+  }
+
+  /**
+   * Apply the output encoder for a tile
+   * @param {Object} pipeline - Sharp pipeline
+   * @param {Object} encoding - Tile encoding from resolveEncoding()
+   * @returns {Object} Sharp pipeline with the encoder applied
+   */
+  encodeTile(pipeline, encoding) {
+    switch (encoding.format) {
+      case 'png':
+        return pipeline.png({
+          compressionLevel: 6, // Lossless; balance size against encode time
+          adaptiveFiltering: false
+        });
+      case 'webp':
+        return pipeline.webp({
+          quality: encoding.quality,
+          effort: 2 // Favor encode speed for on-demand tiles
+        });
+      case 'avif':
+        return pipeline.avif({
+          quality: encoding.quality,
+          effort: 2 // AVIF encoding is slow; keep effort low
+        });
+      default:
+        return pipeline.jpeg({ 
+          quality: encoding.quality, // Lower quality for faster encoding
+          progressive: false, // Faster than progressive
+          mozjpeg: true // Use mozjpeg for better compression
+        });
+    }
   }
 
   /**
@@ -160,132 +1581,536 @@ class TileGenerator {
    * @param {number} level - Pyramid level
    * @param {number} x - Tile X coordinate
    * @param {number} y - Tile Y coordinate
-   * @returns {Promise<string>} Path to the generated tile
+   * @param {number} seriesIndex - Series (scanned region or associated image)
+   * @param {Object} encoding - Tile encoding (defaults to the image settings)
+   * @param {Object} rendering - Channel rendering (defaults to the series' default rendering)
+   * @param {Object} color - Color management (defaults to conversion to sRGB)
+   * @param {Object} plane - OME-TIFF plane (defaults to the first channel, Z-plane and time point)
+   * @returns {Promise<string|null>} Path to the generated tile, or null outside the pyramid
    */
-  async generateTileOnDemand(imageId, level, x, y) {
+  async generateTileOnDemand(imageId, level, x, y, seriesIndex = 0, encoding = null, rendering = undefined, color = null, plane = null) {
     // Find the image file
-    let imagePath = path.join(this.originalDir, `${imageId}.tif`);
-    
-    try {
-      await fs.access(imagePath);
-    } catch (error) {
-      const files = await fs.readdir(this.originalDir);
-      const imageFile = files.find(f => f.startsWith(imageId));
-      if (!imageFile) {
-        throw new Error(`Image not found: ${imageId}`);
-      }
-      imagePath = path.join(this.originalDir, imageFile);
-    }
+    const imagePath = await this.resolveImagePath(imageId);
     
     // Get cached metadata (fast!)
     const metadata = await this.getCachedMetadata(imageId, imagePath);
-    const tileSize = 256;
+    const tilePlane = plane || this.resolvePlane(this.getSeries(metadata, seriesIndex));
+    const series = this.selectPlane(this.getSeries(metadata, seriesIndex), tilePlane);
+    const tileEncoding = encoding || await this.getTileEncoding(imageId);
+    const layout = await this.getTileLayout(imageId);
+    const tileRendering = rendering === undefined ? this.resolveChannelRendering(series) : rendering;
+    const tileColor = color || await this.resolveColorManagement(imagePath, series);
+    
+    // Nothing to render (or cache) outside the pyramid
+    if (level < 0 || level >= this.calculateLevels(series.width, series.height)) {
+      return null;
+    }
+    const grid = this.getLevelGrid(series.width, series.height, level, layout.tileSize);
+    if (x < 0 || y < 0 || x >= grid.columns || y >= grid.rows) {
+      return null;
+    }
     
-    // Generate tile path
-    const tilePath = path.join(this.tilesDir, imageId, String(level), `${x}_${y}.jpg`);
+    // Generate tile path (each plane, encoding, tile layout, channel rendering and color mode has its own cache directory)
+    const tilePath = path.join(
+      this.tilesDir,
+      imageId,
+      `s${seriesIndex}${tilePlane ? tilePlane.key : ''}`,
+      `${tileEncoding.key}${layout.key}${tileRendering ? tileRendering.key : ''}${tileColor.key}`,
+      String(level),
+      `${x}_${y}.${tileEncoding.extension}`
+    );
     
-    // Check if tile already exists (optional caching)
-    try {
-      await fs.access(tilePath);
-      return tilePath;
-    } catch (error) {
-      // Generate the tile
-      await this.generateTile(
-        imagePath,
+    const fromSource = () => this.generateTile(
+      imagePath,
+      tilePath,
+      level,
+      x,
+      y,
+      layout.tileSize,
+      series.width,
+      series.height,
+      series.levels,
+      tileEncoding,
+      layout.overlap,
+      tileRendering,
+      tileColor
+    );
+    
+    if (this.pyramidStrategy === 'source') {
+      return this.renderCached(imageId, tilePath, tileEncoding.format, fromSource);
+    }
+    
+    // Prefer the cached finer level; read the source only when a child is missing
+    return this.renderCached(imageId, tilePath, tileEncoding.format, async () => {
+      const composed = await this.composeTileFromChildren(
         tilePath,
         level,
         x,
         y,
-        tileSize,
-        metadata.width,
-        metadata.height
+        layout.tileSize,
+        series.width,
+        series.height,
+        tileEncoding,
+        layout.overlap,
+        tileColor
+      );
+      return composed || fromSource();
+    });
+  }
+
+  /**
+   * Serve a cached rendering, or render it once for all concurrent requests
+   * @param {string} imageId - Image ID (for cache statistics)
+   * @param {string} outputPath - Cache path of the rendering
+   * @param {string} format - Encoding format, used to validate the cached file
+   * @param {Function} render - Writes outputPath; resolves to null if there is nothing to render
+   * @returns {Promise<string|null>} outputPath, or null if nothing was rendered
+   */
+  async renderCached(imageId, outputPath, format, render) {
+    // Join a rendering already running for this path
+    if (this.pendingTiles.has(outputPath)) {
+      return this.pendingTiles.get(outputPath);
+    }
+    
+    // Serve the cached file unless it is missing, empty or truncated
+    if (await isValidTileFile(outputPath, format)) {
+      this.tileCache.recordHit(imageId, outputPath);
+      return outputPath;
+    }
+    
+    // Another request may have started rendering while the file was checked
+    if (!this.pendingTiles.has(outputPath)) {
+      const pending = render()
+        .then(async (rendered) => {
+          if (!rendered) {
+            return null;
+          }
+          await this.tileCache.recordMiss(imageId, outputPath);
+          return outputPath;
+        })
+        .finally(() => {
+          this.pendingTiles.delete(outputPath);
+        });
+      this.pendingTiles.set(outputPath, pending);
+    }
+    return this.pendingTiles.get(outputPath);
+  }
+
+  /**
+   * Encode a pipeline into a file via a temp file and rename,
+   * so a tile is never served half-written
+   * @param {Object} pipeline - Sharp pipeline with the encoder applied
+   * @param {string} outputPath - Destination path
+   * @returns {Promise<string>} outputPath
+   */
+  async writeImageFile(pipeline, outputPath) {
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    
+    const tempPath = `${outputPath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await pipeline.toFile(tempPath);
+      await fs.rename(tempPath, outputPath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+    return outputPath;
+  }
+
+  /**
+   * Sharp input options that read a single native page (or SubIFD)
+   * @param {Object} nativeLevel - Pyramid level with page and optional subifd
+   * @param {Object} color - Color management; raw mode ignores the embedded profile
+   * @returns {Object} Sharp input options
+   */
+  pageInputOptions(nativeLevel, color = null) {
+    const inputOptions = {
+      limitInputPixels: false,
+      page: nativeLevel.page,
+      pages: 1
+    };
+    if (nativeLevel.subifd !== undefined) {
+      inputOptions.subifd = nativeLevel.subifd;
+    }
+    if (color && color.mode === 'raw') {
+      inputOptions.ignoreIcc = true;
+    }
+    return inputOptions;
+  }
+
+  /**
+   * Get a JPEG thumbnail of the main series, rendered from the smallest
+   * native pyramid level that still covers the requested size
+   * @param {string} imageId - Image ID
+   * @param {number} size - Longest side in pixels
+   * @param {Object} region - Part of the series to show ({ x, y, width, height }; default: all of it)
+   * @returns {Promise<string>} Path to the cached thumbnail
+   */
+  async getThumbnail(imageId, size = DEFAULT_THUMBNAIL_SIZE, region = null) {
+    const imagePath = await this.resolveImagePath(imageId);
+    const metadata = await this.getCachedMetadata(imageId, imagePath);
+    const series = this.getSeries(metadata, 0);
+    
+    // Levels are sorted largest first
+    const source = series.levels.filter(level => Math.max(level.width, level.height) >= size).pop() ||
+      series.levels[0];
+    
+    const area = region
+      ? { left: region.x, top: region.y, width: region.width, height: region.height }
+      : { left: 0, top: 0, width: series.width, height: series.height };
+    const name = region ? `${size}-${region.x}_${region.y}_${region.width}_${region.height}` : String(size);
+    const outputPath = path.join(this.tilesDir, imageId, 'thumbnails', `${name}.jpg`);
+    const rendering = this.resolveChannelRendering(series);
+    return this.renderCached(imageId, outputPath, 'jpeg', async () => {
+      let pipeline;
+      const scale = Math.max(1, Math.max(area.width, area.height) / size);
+      const outputWidth = Math.max(1, Math.round(area.width / scale));
+      const outputHeight = Math.max(1, Math.round(area.height / scale));
+      if (rendering) {
+        pipeline = await this.renderChannelRegion(
+          imagePath,
+          series.levels,
+          series.width,
+          area,
+          scale,
+          outputWidth,
+          outputHeight,
+          rendering
+        );
+      } else if (region) {
+        pipeline = await this.extractRegion(
+          imagePath,
+          series.levels,
+          series.width,
+          area,
+          scale,
+          outputWidth,
+          outputHeight,
+          'lanczos3',
+          await this.resolveColorManagement(imagePath, series)
+        );
+      } else {
+        pipeline = await this.assignSeriesProfile(
+          sharp(imagePath, this.pageInputOptions(source))
+            .resize(size, size, { fit: 'inside', withoutEnlargement: true }),
+          source,
+          await this.resolveColorManagement(imagePath, series)
+        );
+      }
+      return this.writeImageFile(this.encodeTile(pipeline, this.resolveEncoding('jpeg', PREVIEW_QUALITY)), outputPath);
+    });
+  }
+
+  /**
+   * Validate a region export request against an image
+   * @param {string} imageId - Image ID
+   * @param {Object} query - x, y, w, h (full-resolution pixels), scale (downsample ≥ 1), format, series, c, z, t, channels, color
+   * @returns {Promise<Object>} Region, scale, output size, format, channel rendering and color management
+   */
+  async parseRegionRequest(imageId, query) {
+    const imagePath = await this.resolveImagePath(imageId);
+    const metadata = await this.getCachedMetadata(imageId, imagePath);
+    const seriesIndex = query.series === undefined ? 0 : Number(query.series);
+    const seriesMetadata = this.getSeries(metadata, seriesIndex);
+    const series = this.selectPlane(seriesMetadata, this.resolvePlane(seriesMetadata, query));
+    
+    const [x, y, w, h] = ['x', 'y', 'w', 'h'].map(key => Number(query[key]));
+    if (![x, y, w, h].every(Number.isInteger) || x < 0 || y < 0 || w <= 0 || h <= 0) {
+      throw new Error('x, y, w and h must be integers (x, y ≥ 0; w, h > 0)');
+    }
+    if (x >= series.width || y >= series.height) {
+      throw new Error(`Region is outside the image (${series.width} × ${series.height})`);
+    }
+    
+    const scale = query.scale === undefined || query.scale === '' ? 1 : Number(query.scale);
+    if (!Number.isFinite(scale) || scale < 1) {
+      throw new Error('scale must be a number ≥ 1 (downsample factor)');
+    }
+    
+    const format = String(query.format || 'png').toLowerCase()
+      .replace(/^jpg$/, 'jpeg')
+      .replace(/^tif$/, 'tiff');
+    if (!REGION_FORMATS[format]) {
+      throw new Error(`Unsupported format: ${query.format}. Use png, jpeg or tiff`);
+    }
+    
+    // Clip to the image
+    const region = {
+      left: x,
+      top: y,
+      width: Math.min(w, series.width - x),
+      height: Math.min(h, series.height - y)
+    };
+    const outputWidth = Math.max(1, Math.round(region.width / scale));
+    const outputHeight = Math.max(1, Math.round(region.height / scale));
+    if (outputWidth > MAX_REGION_SIZE || outputHeight > MAX_REGION_SIZE) {
+      throw new Error(`Output would be ${outputWidth} × ${outputHeight} px; the limit is ${MAX_REGION_SIZE} px per side. Use a larger scale`);
+    }
+    
+    return {
+      imagePath,
+      series,
+      region,
+      scale,
+      outputWidth,
+      outputHeight,
+      format,
+      rendering: this.resolveChannelRendering(series, query.channels),
+      color: await this.resolveColorManagement(imagePath, series, query.color),
+      ...REGION_FORMATS[format]
+    };
+  }
+
+  /**
+   * Render a region of an image in full-resolution coordinates at a downsample
+   * @param {Object} request - Validated request from parseRegionRequest(); IIIF
+   *   requests may also set mirror, rotation (multiple of 90) and quality (gray, bitonal).
+   *   Without a rendering, channel images use their default rendering;
+   *   without color management, colors are converted to sRGB.
+   * @returns {Promise<Buffer>} Encoded image
+   */
+  async renderRegion(request) {
+    const rendering = request.rendering === undefined
+      ? this.resolveChannelRendering(request.series)
+      : request.rendering;
+    const color = request.color || await this.resolveColorManagement(request.imagePath, request.series);
+    let pipeline = rendering
+      ? await this.renderChannelRegion(
+        request.imagePath,
+        request.series.levels,
+        request.series.width,
+        request.region,
+        request.scale,
+        request.outputWidth,
+        request.outputHeight,
+        rendering
+      )
+      : await this.extractRegion(
+        request.imagePath,
+        request.series.levels,
+        request.series.width,
+        request.region,
+        request.scale,
+        request.outputWidth,
+        request.outputHeight,
+        'lanczos3', // Exports are one-off; favor quality over speed
+        color
       );
-      return tilePath;
+    pipeline = this.convertColor(pipeline, color);
+    
+    // Mirroring is applied before rotation, as IIIF requires
+    if (request.mirror) {
+      pipeline = pipeline.flop();
+    }
+    if (request.rotation) {
+      pipeline = pipeline.rotate(request.rotation);
+    }
+    if (request.quality === 'gray') {
+      pipeline = pipeline.grayscale();
+    } else if (request.quality === 'bitonal') {
+      pipeline = pipeline.threshold();
+    }
+    
+    switch (request.format) {
+      case 'webp':
+        return pipeline.webp({ quality: 90 }).toBuffer();
+      case 'jpeg':
+        return pipeline.jpeg({ quality: 90, mozjpeg: true }).toBuffer();
+      case 'tiff':
+        return pipeline.tiff({ compression: 'lzw' }).toBuffer();
+      default:
+        return pipeline.png({ compressionLevel: 6 }).toBuffer();
+    }
+  }
+
+  /**
+   * Names of the associated images (label, macro, ...) embedded in an image
+   * @param {Object} metadata - Image metadata
+   * @returns {Array<string>} Associated image names
+   */
+  listAssociatedImages(metadata) {
+    return metadata.series
+      .filter(series => series.index > 0 && ASSOCIATED_NAMES.includes(series.name.toLowerCase()))
+      .map(series => series.name.toLowerCase());
+  }
+
+  /**
+   * Get an associated image (label, macro, ...) as JPEG at full size
+   * @param {string} imageId - Image ID
+   * @param {string} name - Associated image name
+   * @returns {Promise<string>} Path to the cached image
+   */
+  async getAssociatedImage(imageId, name) {
+    const imagePath = await this.resolveImagePath(imageId);
+    const metadata = await this.getCachedMetadata(imageId, imagePath);
+    
+    const associatedName = String(name).toLowerCase();
+    if (!this.listAssociatedImages(metadata).includes(associatedName)) {
+      throw new Error(`Associated image not found: ${name}`);
     }
+    const series = metadata.series.find(entry => entry.index > 0 && entry.name.toLowerCase() === associatedName);
+    
+    const outputPath = path.join(this.tilesDir, imageId, 'associated', `${associatedName}.jpg`);
+    return this.renderCached(imageId, outputPath, 'jpeg', () => {
+      const pipeline = sharp(imagePath, this.pageInputOptions(series.levels[0]));
+      return this.writeImageFile(this.encodeTile(pipeline, this.resolveEncoding('jpeg', PREVIEW_QUALITY)), outputPath);
+    });
   }
 
 
 
   /**
-   * Process uploaded image - just save the file
+   * Process uploaded image - validate the file, save it and record it in the catalog
+   * Rejected files are left in place; the caller removes them. Files ingested
+   * by reference stay where they are and are linked into originalDir.
    * @param {string} imageId - Unique image identifier
    * @param {string} originalPath - Path to uploaded file
+   * @param {Object} settings - Optional tile settings (tileFormat, tileQuality, tileSize, tileOverlap)
+   * @param {Object} source - Optional originalName, uploader, owner (username) and
+   *   ingestion ({ source: 'watch' | 'import', mode: 'move' | 'reference', path })
    * @returns {Promise<Object>} Basic image information
+   * @throws {Error} Upload errors (code and httpStatus) for invalid settings or files
    */
-  async processUpload(imageId, originalPath) {
-    // Get basic metadata for response
-    const metadata = await this.getImageMetadata(originalPath);
+  async processUpload(imageId, originalPath, settings = {}, source = {}) {
+    // Validate settings before touching the upload
+    let imageSettings;
+    try {
+      imageSettings = this.applySettingChanges(DEFAULT_IMAGE_SETTINGS, settings);
+    } catch (error) {
+      throw uploadError('INVALID_SETTINGS', error.message);
+    }
     
-    // Move to original directory
-    const ext = path.extname(originalPath);
-    const newPath = path.join(this.originalDir, `${imageId}${ext}`);
-    await fs.rename(originalPath, newPath);
+    // Magic bytes and TIFF structure, before Sharp decodes anything
+    await validateUpload(originalPath);
     
-    // Clean up temp directory after successful upload
+    // Get basic metadata for response
+    let metadata;
     try {
-      const tempDir = path.join(this.uploadsDir, 'temp');
-      const tempFiles = await fs.readdir(tempDir);
-      for (const file of tempFiles) {
-        const filePath = path.join(tempDir, file);
-        const stat = await fs.stat(filePath);
-        if (stat.isFile()) {
-          await fs.unlink(filePath);
-        }
-      }
+      metadata = await this.getImageMetadata(originalPath);
     } catch (error) {
-      console.log('Temp cleanup skipped:', error.message);
+      throw uploadError('UNREADABLE_IMAGE', `Image could not be read: ${error.message}`);
+    }
+    const stat = await fs.stat(originalPath);
+    const checksum = await computeChecksum(originalPath);
+    
+    // Move to original directory (or link to the file in place)
+    const ext = path.extname(originalPath);
+    const fileName = `${imageId}${ext}`;
+    const newPath = path.join(this.originalDir, fileName);
+    if (source.ingestion && source.ingestion.mode === 'reference') {
+      await fs.symlink(path.resolve(originalPath), newPath);
+    } else {
+      await moveFile(originalPath, newPath);
     }
     
-    // Return basic info (no caching)
+    const record = await this.catalog.put(this.buildRecord(imageId, fileName, metadata, {
+      originalName: source.originalName || fileName,
+      fileSize: stat.size,
+      checksum,
+      uploader: source.uploader || null,
+      owner: source.owner || null,
+      ingestion: source.ingestion ? { ...source.ingestion, ingestedAt: new Date().toISOString() } : null,
+      uploadedAt: new Date().toISOString(),
+      settings: imageSettings
+    }));
+    this.metadataCache.set(imageId, metadata);
+    
     return {
       id: imageId,
       width: metadata.width,
       height: metadata.height,
-      tileSize: 256,
-      format: 'jpeg',
-      levels: this.calculateLevels(metadata.width, metadata.height, 256),
+      tileSize: record.tileSize,
+      tileOverlap: record.tileOverlap,
+      format: record.tileFormat,
+      tileQuality: record.tileQuality,
+      levels: this.calculateLevels(metadata.width, metadata.height),
       originalFormat: metadata.format,
-      uploadedAt: new Date().toISOString()
+      originalName: record.originalName,
+      fileSize: record.fileSize,
+      checksum: record.checksum,
+      owner: record.owner,
+      series: this.describeSeries(metadata),
+      tilesVersion: record.tilesVersion,
+      uploadedAt: record.uploadedAt
     };
   }
 
   /**
-   * List all uploaded images
-   * @returns {Promise<Array>} List of image info objects
+   * Delete all cached tiles of an image (they are regenerated on demand)
+   * @param {string} imageId - Image ID
    */
-  async listImages() {
-    try {
-      const files = await fs.readdir(this.originalDir);
-      const images = [];
-      
-      for (const file of files) {
-        // Skip hidden files
-        if (file.startsWith('.')) continue;
-        
-        try {
-          const imageId = path.parse(file).name;
-          const imagePath = path.join(this.originalDir, file);
-          const metadata = await this.getImageMetadata(imagePath);
-          const stat = await fs.stat(imagePath);
-          
-          images.push({
-            id: imageId,
-            width: metadata.width,
-            height: metadata.height,
-            originalFormat: metadata.format,
-            uploadedAt: stat.birthtime.toISOString()
-          });
-        } catch (error) {
-          console.error(`Error reading ${file}:`, error.message);
-          continue;
-        }
+  async purgeTiles(imageId) {
+    await this.resolveImagePath(imageId);
+    await fs.rm(path.join(this.tilesDir, imageId), { recursive: true, force: true });
+    this.tileCache.removeImage(imageId);
+    // Invalidate tile URLs that browsers and proxies cached as immutable
+    if (this.catalog.get(imageId)) {
+      await this.catalog.update(imageId, { tilesVersion: this.getTilesVersion(imageId) + 1 });
+    }
+  }
+
+  /**
+   * Delete an image: original file, cached tiles, catalog record and cached metadata
+   * @param {string} imageId - Image ID
+   */
+  async deleteImage(imageId) {
+    const imagePath = await this.resolveImagePath(imageId);
+    
+    // Images ingested by reference only lose their link; the source file stays
+    await fs.rm(imagePath, { force: true });
+    await fs.rm(path.join(this.tilesDir, imageId), { recursive: true, force: true });
+    await this.catalog.remove(imageId);
+    this.tileCache.forgetImage(imageId);
+    this.metadataCache.delete(imageId);
+    for (const key of this.iccProfiles.keys()) {
+      if (key.startsWith(`${imagePath}#`)) {
+        this.iccProfiles.delete(key);
       }
-      
-      return images;
-    } catch (error) {
-      return [];
     }
   }
+
+  /**
+   * List uploaded images from the catalog
+   * @param {Object} query - search, sort, order, page, pageSize, username (only that account's images)
+   *   and pending (list entries of files that are not images yet, listed as they are)
+   * @returns {Promise<Object>} Image info objects for the page and the total match count
+   */
+  async listImages(query = {}) {
+    const pending = new Set(query.pending || []);
+    const { records, total } = this.catalog.query({ ...query, extraRecords: [...pending] });
+    
+    const images = records.map(record => pending.has(record) ? record : ({
+      id: record.id,
+      name: record.name,
+      originalName: record.originalName,
+      description: record.description,
+      tags: record.tags,
+      width: record.width,
+      height: record.height,
+      fileSize: record.fileSize,
+      checksum: record.checksum,
+      uploader: record.uploader,
+      owner: record.owner || null,
+      grants: record.grants || [],
+      vendor: record.vendor,
+      tileFormat: record.tileFormat,
+      tileQuality: record.tileQuality,
+      tileSize: record.tileSize || TILE_SIZE,
+      tileOverlap: record.tileOverlap || 0,
+      originalFormat: record.originalFormat,
+      series: this.describeSeries(record.metadata),
+      associatedImages: this.listAssociatedImages(record.metadata),
+      tilesVersion: record.tilesVersion || 1,
+      ingestion: record.ingestion ? { ...record.ingestion, status: 'completed', error: null } : null,
+      uploadedAt: record.uploadedAt
+    }));
+    
+    return { images, total };
+  }
 }
 
+TileGenerator.MAX_THUMBNAIL_SIZE = MAX_THUMBNAIL_SIZE;
+TileGenerator.MAX_REGION_SIZE = MAX_REGION_SIZE;
+TileGenerator.DEFAULT_THUMBNAIL_SIZE = DEFAULT_THUMBNAIL_SIZE;
+
 module.exports = TileGenerator;
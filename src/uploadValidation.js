@@ -0,0 +1,181 @@
+const fs = require('fs').promises;
+const TiffReader = require('./tiffReader');
+
+// Upload error codes and their HTTP status. Clients switch on the code;
+// the message is for people and may change.
+const UPLOAD_ERRORS = {
+  NO_FILE: 400,
+  UNSUPPORTED_EXTENSION: 400,
+  INVALID_SETTINGS: 400,
+  INVALID_UPLOAD: 400,
+  INVALID_CHUNK: 400,
+  UPLOAD_NOT_FOUND: 404,
+  UPLOAD_INCOMPLETE: 409,
+  FILE_TOO_LARGE: 413,
+  UNSUPPORTED_FORMAT: 415,
+  INVALID_TIFF: 422,
+  TRUNCATED_FILE: 422,
+  UNREADABLE_IMAGE: 422,
+  INTERNAL_ERROR: 500
+};
+
+// Signatures of formats people commonly upload by mistake (checked after TIFF)
+const KNOWN_SIGNATURES = [
+  { format: 'PDF', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { format: 'PNG', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { format: 'JPEG', bytes: [0xff, 0xd8, 0xff] },
+  { format: 'GIF', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { format: 'ZIP', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { format: 'GZIP', bytes: [0x1f, 0x8b] },
+  { format: 'BMP', bytes: [0x42, 0x4d] },
+  { format: 'JPEG 2000', bytes: [0x00, 0x00, 0x00, 0x0c, 0x6a, 0x50, 0x20, 0x20] }
+];
+
+const HEADER_BYTES = 16;
+
+/**
+ * Create an upload error with a stable code
+ * @param {string} code - Key of UPLOAD_ERRORS
+ * @param {string} message - Human-readable message
+ * @param {Object} details - Extra fields for the client (optional)
+ * @returns {Error} Error with code, httpStatus and details
+ */
+function uploadError(code, message, details = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.httpStatus = UPLOAD_ERRORS[code];
+  error.details = details;
+  return error;
+}
+
+/**
+ * Identify a file from its first bytes
+ * @param {Buffer} header - First bytes of the file
+ * @returns {string|null} 'TIFF', 'BigTIFF', another known format name, or null
+ */
+function sniffFormat(header) {
+  if (header.length >= 4) {
+    const order = header.toString('latin1', 0, 2);
+    if (order === 'II' || order === 'MM') {
+      const magic = order === 'II' ? header.readUInt16LE(2) : header.readUInt16BE(2);
+      if (magic === 42) return 'TIFF';
+      // BigTIFF: byte size of offsets (8) followed by a zero word
+      if (magic === 43 && header.length >= 8) {
+        const offsetSize = order === 'II' ? header.readUInt16LE(4) : header.readUInt16BE(4);
+        const reserved = order === 'II' ? header.readUInt16LE(6) : header.readUInt16BE(6);
+        if (offsetSize === 8 && reserved === 0) return 'BigTIFF';
+      }
+    }
+  }
+  const known = KNOWN_SIGNATURES.find(signature =>
+    header.length >= signature.bytes.length && signature.bytes.every((byte, i) => header[i] === byte));
+  return known ? known.format : null;
+}
+
+async function readHeader(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(HEADER_BYTES);
+    const { bytesRead } = await handle.read(header, 0, HEADER_BYTES, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check that the image data of one directory lies inside the file
+ * @param {TiffReader} reader - Open reader
+ * @param {Object} directory - Directory from readDirectories()
+ * @param {string} label - Directory name for messages
+ */
+async function checkDirectoryData(reader, directory, label) {
+  if (!(directory.width > 0) || !(directory.height > 0)) {
+    throw uploadError('INVALID_TIFF', `${label} has no image dimensions`, { directory: label });
+  }
+
+  const { TAGS } = TiffReader;
+  const offsetsTag = directory.tiled ? TAGS.TileOffsets : TAGS.StripOffsets;
+  const countsTag = directory.tiled ? TAGS.TileByteCounts : TAGS.StripByteCounts;
+  const offsets = await reader.readValues(directory.entries.get(offsetsTag));
+  const byteCounts = await reader.readValues(directory.entries.get(countsTag));
+  if (!Array.isArray(offsets) || !Array.isArray(byteCounts) || offsets.length !== byteCounts.length) {
+    throw uploadError('INVALID_TIFF', `${label} has missing or mismatched ${directory.tiled ? 'tile' : 'strip'} offsets`, {
+      directory: label
+    });
+  }
+  if (directory.tiled) {
+    const expected = Math.ceil(directory.width / directory.tileWidth) * Math.ceil(directory.height / directory.tileHeight);
+    if (offsets.length < expected) {
+      throw uploadError('INVALID_TIFF', `${label} lists ${offsets.length} tiles but needs ${expected}`, {
+        directory: label
+      });
+    }
+  }
+
+  for (let i = 0; i < offsets.length; i++) {
+    // Empty (sparse) tiles have no data
+    if (byteCounts[i] > 0 && offsets[i] + byteCounts[i] > reader.fileSize) {
+      throw uploadError('TRUNCATED_FILE', `${label} has image data beyond the end of the file; the file may be truncated`, {
+        directory: label,
+        offset: offsets[i],
+        byteCount: byteCounts[i],
+        fileSize: reader.fileSize
+      });
+    }
+  }
+}
+
+/**
+ * Check an uploaded file before it is accepted: magic bytes, then the TIFF
+ * structure (IFD chain, SubIFDs, and every tile or strip inside the file).
+ * Reads only directories and offset tables, never pixel data.
+ * @param {string} filePath - Path to the uploaded file
+ * @returns {Promise<Object>} format ('TIFF' or 'BigTIFF') and directory count
+ */
+async function validateUpload(filePath) {
+  const format = sniffFormat(await readHeader(filePath));
+  if (format !== 'TIFF' && format !== 'BigTIFF') {
+    throw uploadError(
+      'UNSUPPORTED_FORMAT',
+      format ? `File is a ${format}, not a TIFF or SCN slide` : 'File is not a TIFF or SCN slide',
+      { detectedFormat: format }
+    );
+  }
+
+  const reader = await TiffReader.open(filePath);
+  try {
+    const directories = await reader.readDirectories();
+    if (directories.length === 0) {
+      throw uploadError('INVALID_TIFF', 'TIFF file contains no images');
+    }
+
+    for (const directory of directories) {
+      await checkDirectoryData(reader, directory, `IFD ${directory.page}`);
+      for (const subIfd of directory.subIfds) {
+        await checkDirectoryData(reader, subIfd, `IFD ${directory.page} SubIFD ${subIfd.subifd}`);
+      }
+    }
+    return { format, directories: directories.length };
+  } catch (error) {
+    if (error.httpStatus) {
+      throw error;
+    }
+    // Directories or offset tables that point past the end
+    if (error.outOfBounds) {
+      throw uploadError('TRUNCATED_FILE', 'TIFF structure points beyond the end of the file; the file may be truncated', {
+        fileSize: reader.fileSize
+      });
+    }
+    throw uploadError('INVALID_TIFF', `TIFF structure is invalid: ${error.message}`);
+  } finally {
+    await reader.close();
+  }
+}
+
+module.exports = {
+  UPLOAD_ERRORS,
+  uploadError,
+  sniffFormat,
+  validateUpload
+};
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Account roles: admins see and manage every image and account
+const ROLES = ['admin', 'user'];
+
+// Browser sessions expire after this long
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// scrypt parameters for password hashes (salt and key length in bytes)
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+// Random bytes in session and API tokens
+const TOKEN_BYTES = 32;
+
+// Prefix that marks API tokens in Authorization headers and logs
+const API_TOKEN_PREFIX = 'ost_';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * UserStore keeps local accounts, API tokens and browser sessions.
+ * Like the image catalog it is a single JSON file under uploadsDir. Passwords
+ * are stored as scrypt hashes; tokens and sessions only as SHA-256 digests,
+ * so the file never holds a usable credential.
+ */
+class UserStore {
+  constructor(usersFile) {
+    this.usersFile = usersFile;
+    this.users = new Map();
+    this.tokens = new Map();
+    this.sessions = new Map();
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load accounts from disk and drop expired sessions
+   */
+  async init() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.usersFile, 'utf8'));
+      for (const user of saved.users || []) {
+        this.users.set(user.username, user);
+      }
+      for (const token of saved.tokens || []) {
+        this.tokens.set(token.hash, token);
+      }
+      for (const session of saved.sessions || []) {
+        if (new Date(session.expiresAt).getTime() > Date.now()) {
+          this.sessions.set(session.hash, session);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not load user accounts: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether any account exists
+   */
+  hasUsers() {
+    return this.users.size > 0;
+  }
+
+  /**
+   * Public view of an account
+   * @param {Object} user - Stored account
+   * @returns {Object} username, role and createdAt
+   */
+  describe(user) {
+    return { username: user.username, role: user.role, createdAt: user.createdAt };
+  }
+
+  /**
+   * @param {string} username - Username
+   * @returns {Object|null} Account (public view)
+   */
+  getUser(username) {
+    const user = this.users.get(String(username));
+    return user ? this.describe(user) : null;
+  }
+
+  /**
+   * @returns {Array<Object>} All accounts (public view)
+   */
+  listUsers() {
+    return [...this.users.values()].map(user => this.describe(user));
+  }
+
+  /**
+   * Create an account
+   * @param {Object} options - username, password and role ('user' by default)
+   * @returns {Promise<Object>} Account (public view)
+   */
+  async createUser(options) {
+    const username = String(options.username || '').trim();
+    const role = options.role || 'user';
+    if (!/^[\w.@-]{1,64}$/.test(username)) {
+      throw new Error('username must be 1–64 letters, digits, ".", "@", "_" or "-"');
+    }
+    if (this.users.has(username)) {
+      throw new Error(`User already exists: ${username}`);
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role: ${role} (use ${ROLES.join(' or ')})`);
+    }
+
+    const user = {
+      username,
+      role,
+      passwordHash: await hashPassword(validatePassword(options.password)),
+      createdAt: new Date().toISOString()
+    };
+    // Another request may have taken the name while the password was hashed
+    if (this.users.has(username)) {
+      throw new Error(`User already exists: ${username}`);
+    }
+    this.users.set(username, user);
+    await this.save();
+    return this.describe(user);
+  }
+
+  /**
+   * Change the password of an account and end its sessions
+   * @param {string} username - Username
+   * @param {string} password - New password
+   */
+  async setPassword(username, password) {
+    const user = this.users.get(String(username));
+    if (!user) {
+      throw new Error(`User not found: ${username}`);
+    }
+    user.passwordHash = await hashPassword(validatePassword(password));
+    for (const [hash, session] of this.sessions) {
+      if (session.username === user.username) {
+        this.sessions.delete(hash);
+      }
+    }
+    await this.save();
+  }
+
+  /**
+   * Delete an account with its tokens and sessions
+   * @param {string} username - Username
+   */
+  async removeUser(username) {
+    if (!this.users.delete(String(username))) {
+      throw new Error(`User not found: ${username}`);
+    }
+    for (const store of [this.tokens, this.sessions]) {
+      for (const [hash, entry] of store) {
+        if (entry.username === username) {
+          store.delete(hash);
+        }
+      }
+    }
+    await this.save();
+  }
+
+  /**
+   * Check a username and password
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object|null>} Account (public view), or null when they do not match
+   */
+  async verifyPassword(username, password) {
+    const user = this.users.get(String(username || ''));
+    // Hash even for unknown users so timing does not reveal which usernames exist
+    const matches = await checkPassword(String(password || ''), user ? user.passwordHash : null);
+    return user && matches ? this.describe(user) : null;
+  }
+
+  /**
+   * Start a browser session
+   * @param {string} username - Username
+   * @returns {Promise<Object>} Session token (only returned here) and expiry
+   */
+  async createSession(username) {
+    const token = generateToken();
+    const session = {
+      hash: digest(token),
+      username,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+    };
+    this.sessions.set(session.hash, session);
+    await this.save();
+    return { token, expiresAt: session.expiresAt };
+  }
+
+  /**
+   * End a browser session
+   * @param {string} token - Session token
+   */
+  async removeSession(token) {
+    if (this.sessions.delete(digest(String(token)))) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Create an API token for scripts
+   * @param {string} username - Owner of the token
+   * @param {string} name - Label shown in token listings
+   * @returns {Promise<Object>} Token description with the token itself (only returned here)
+   */
+  async createToken(username, name) {
+    if (!this.users.has(username)) {
+      throw new Error(`User not found: ${username}`);
+    }
+    const token = `${API_TOKEN_PREFIX}${generateToken()}`;
+    const entry = {
+      id: crypto.randomBytes(8).toString('hex'),
+      hash: digest(token),
+      username,
+      name: String(name || 'API token').slice(0, 100),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    this.tokens.set(entry.hash, entry);
+    await this.save();
+    return { ...this.describeToken(entry), token };
+  }
+
+  /**
+   * Public view of an API token
+   * @param {Object} entry - Stored token
+   * @returns {Object} id, name, createdAt and lastUsedAt
+   */
+  describeToken(entry) {
+    return { id: entry.id, name: entry.name, createdAt: entry.createdAt, lastUsedAt: entry.lastUsedAt };
+  }
+
+  /**
+   * @param {string} username - Username
+   * @returns {Array<Object>} API tokens of the account (public view)
+   */
+  listTokens(username) {
+    return [...this.tokens.values()]
+      .filter(entry => entry.username === username)
+      .map(entry => this.describeToken(entry));
+  }
+
+  /**
+   * Revoke an API token
+   * @param {string} username - Owner of the token
+   * @param {string} tokenId - Token ID
+   */
+  async removeToken(username, tokenId) {
+    const entry = [...this.tokens.values()].find(token => token.id === tokenId && token.username === username);
+    if (!entry) {
+      throw new Error(`Token not found: ${tokenId}`);
+    }
+    this.tokens.delete(entry.hash);
+    await this.save();
+  }
+
+  /**
+   * Resolve a bearer token: an API token or a session token
+   * @param {string} token - Token from the Authorization header or session cookie
+   * @returns {Object|null} Account (public view), or null when the token is unknown or expired
+   */
+  authenticate(token) {
+    if (!token) {
+      return null;
+    }
+    const hash = digest(String(token));
+
+    const entry = this.tokens.get(hash);
+    if (entry) {
+      // Recorded in memory; written with the next change to the store
+      entry.lastUsedAt = new Date().toISOString();
+      return this.getUser(entry.username);
+    }
+
+    const session = this.sessions.get(hash);
+    if (session) {
+      if (new Date(session.expiresAt).getTime() > Date.now()) {
+        return this.getUser(session.username);
+      }
+      this.sessions.delete(hash);
+    }
+    return null;
+  }
+
+  /**
+   * Write the store atomically; writes are chained so they never interleave
+   */
+  async save() {
+    this.saving = this.saving
+      .then(async () => {
+        const tempFile = `${this.usersFile}.tmp`;
+        await fs.mkdir(path.dirname(this.usersFile), { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify({
+          version: 1,
+          users: [...this.users.values()],
+          tokens: [...this.tokens.values()],
+          sessions: [...this.sessions.values()]
+        }, null, 2), { mode: 0o600 });
+        await fs.rename(tempFile, this.usersFile);
+      })
+      .catch((error) => {
+        console.error('Could not save user accounts:', error.message);
+      });
+    return this.saving;
+  }
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+function generateToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+function digest(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_BYTES, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+
+/**
+ * Hash a password as scrypt$salt$key (hex)
+ * @param {string} password - Password
+ * @returns {Promise<string>} Password hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+/**
+ * Compare a password with a hash from hashPassword() in constant time
+ * @param {string} password - Password
+ * @param {string|null} passwordHash - Stored hash (null hashes against a dummy salt)
+ * @returns {Promise<boolean>}
+ */
+async function checkPassword(password, passwordHash) {
+  const [, saltHex, keyHex] = String(passwordHash || `scrypt$${'0'.repeat(SALT_BYTES * 2)}$`).split('$');
+  const key = await scrypt(password, Buffer.from(saltHex, 'hex'));
+  const expected = Buffer.from(keyHex || '', 'hex');
+  return expected.length === key.length && crypto.timingSafeEqual(key, expected);
+}
+
+UserStore.ROLES = ROLES;
+UserStore.SESSION_TTL_MS = SESSION_TTL_MS;
+
+module.exports = UserStore;
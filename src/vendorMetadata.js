@@ -0,0 +1,315 @@
+/**
+ * Vendor metadata of whole-slide images.
+ * Scanners keep the clinically relevant facts (resolution, objective, scanner,
+ * scan date) in vendor formats: Aperio pipe-delimited ImageDescriptions, Leica
+ * SCN XML, Philips DICOM-style XML, Ventana XMLPackets and OME-XML. Each parser
+ * returns the vendor's raw properties plus the normalized fields it can derive;
+ * baseline TIFF tags fill in what the vendor format leaves out.
+ */
+
+// TIFF ResolutionUnit value for centimeters (inch resolutions are usually a
+// meaningless 72 dpi default, so only centimeters are trusted)
+const RESOLUTION_UNIT_CM = 3;
+
+// Micrometers per OME length unit
+const OME_UNITS = { 'µm': 1, um: 1, nm: 0.001, mm: 1000, cm: 10000, m: 1e6 };
+
+// Significant digits kept for converted resolutions (drops floating-point noise)
+const MPP_PRECISION = 6;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Guess the scanner vendor from the first ImageDescription
+ * @param {string} description - ImageDescription of the first page
+ * @returns {string|null} Vendor name
+ */
+function detectVendor(description) {
+  if (!description) return null;
+  if (/^Aperio/.test(description)) return 'Aperio';
+  if (description.includes('<scn')) return 'Leica';
+  if (/DPUfsImport|Philips/i.test(description)) return 'Philips';
+  if (/Ventana|iScan/i.test(description)) return 'Ventana';
+  if (description.includes('<OME')) return 'OME';
+  return null;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+function decodeXml(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos);/g, (entity, name) => XML_ENTITIES[name]);
+}
+
+/**
+ * Attributes of the first XML element with the given name
+ * @param {string} xml - XML document
+ * @param {string} element - Element name
+ * @returns {Object} Attribute name → value (empty when the element is missing)
+ */
+function readAttributes(xml, element) {
+  const match = xml.match(new RegExp(`<${element}\\b([^>]*)>`));
+  const attributes = {};
+  if (match) {
+    const pattern = /([\w:.-]+)\s*=\s*"([^"]*)"/g;
+    let attribute;
+    while ((attribute = pattern.exec(match[1])) !== null) {
+      attributes[attribute[1]] = decodeXml(attribute[2]);
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Text content of the first XML element with the given name
+ * @returns {string|null}
+ */
+function readElement(xml, element) {
+  const match = xml.match(new RegExp(`<${element}\\b[^>]*>([^<]*)</${element}>`));
+  return match ? decodeXml(match[1].trim()) : null;
+}
+
+/**
+ * Aperio: "Aperio Image Library v12 \r\n46920x33014 [...] JPEG/RGB Q=30|AppMag = 20|MPP = 0.499|..."
+ */
+function parseAperio(description) {
+  const [header, ...fields] = description.split('|');
+  const properties = { 'aperio.Header': header.trim() };
+  fields.forEach((field) => {
+    const separator = field.indexOf('=');
+    if (separator > 0) {
+      properties[`aperio.${field.slice(0, separator).trim()}`] = field.slice(separator + 1).trim();
+    }
+  });
+
+  // Date is MM/DD/YY, Time is HH:MM:SS and Time Zone is e.g. GMT-0500 or GMT-05:00
+  let scanDate = null;
+  const date = (properties['aperio.Date'] || '').match(/^(\d{2})\/(\d{2})\/(\d{2,4})$/);
+  if (date) {
+    const year = date[3].length === 2 ? `20${date[3]}` : date[3];
+    scanDate = `${year}-${date[1]}-${date[2]}`;
+    const time = (properties['aperio.Time'] || '').match(/^\d{2}:\d{2}:\d{2}$/);
+    if (time) {
+      scanDate += `T${time[0]}`;
+      const zone = (properties['aperio.Time Zone'] || '').match(/^GMT([+-])(\d{2}):?(\d{2})$/);
+      if (zone) {
+        scanDate += `${zone[1]}${zone[2]}:${zone[3]}`;
+      }
+    }
+  }
+
+  const mpp = toNumber(properties['aperio.MPP']);
+  return {
+    mppX: mpp,
+    mppY: mpp,
+    objectivePower: toNumber(properties['aperio.AppMag']),
+    scannerModel: properties['aperio.ScannerType'] || null,
+    scannerId: properties['aperio.ScanScope ID'] || null,
+    scanDate,
+    properties
+  };
+}
+
+/**
+ * Leica SCN: one <image> per scanned region (plus the macro image), each with
+ * its pixel size and its physical size in nanometers
+ */
+function parseLeica(description) {
+  const images = [];
+  const pattern = /<image\b[^>]*>([\s\S]*?)<\/image>/g;
+  let match;
+  while ((match = pattern.exec(description)) !== null) {
+    const pixels = readAttributes(match[1], 'pixels');
+    const view = readAttributes(match[1], 'view');
+    images.push({
+      xml: match[1],
+      mppX: toNumber(view.sizeX) && toNumber(pixels.sizeX)
+        ? Number((view.sizeX / pixels.sizeX / 1000).toPrecision(MPP_PRECISION))
+        : null,
+      mppY: toNumber(view.sizeY) && toNumber(pixels.sizeY)
+        ? Number((view.sizeY / pixels.sizeY / 1000).toPrecision(MPP_PRECISION))
+        : null
+    });
+  }
+
+  // The scanned region has the finest resolution; the macro image the coarsest
+  const main = images.filter(image => image.mppX).sort((a, b) => a.mppX - b.mppX)[0] || images[0];
+  const collection = readAttributes(description, 'collection');
+  const properties = {
+    'leica.collection-name': collection.name || null,
+    'leica.barcode': readElement(description, 'barcode')
+  };
+  if (!main) {
+    return { properties };
+  }
+
+  const device = readAttributes(main.xml, 'device');
+  Object.assign(properties, {
+    'leica.creation-date': readElement(main.xml, 'creationDate'),
+    'leica.device-model': device.model || null,
+    'leica.device-version': device.version || null,
+    'leica.objective': readElement(main.xml, 'objective'),
+    'leica.aperture': readElement(main.xml, 'numericalAperture'),
+    'leica.illumination-source': readElement(main.xml, 'illuminationSource')
+  });
+  return {
+    mppX: main.mppX,
+    mppY: main.mppY,
+    objectivePower: toNumber(properties['leica.objective']),
+    // "Leica SCN400;Leica SCN": the first entry is the scanner
+    scannerModel: device.model ? device.model.split(';')[0] : null,
+    scanDate: properties['leica.creation-date'],
+    properties
+  };
+}
+
+/**
+ * Philips: <Attribute Name="DICOM_..."> elements; the first pixel spacing
+ * (row, column in millimeters) belongs to the full-resolution level
+ */
+function parsePhilips(description) {
+  const properties = {};
+  const pattern = /<Attribute\b[^>]*\bName="([^"]+)"[^>]*>([^<]*)<\/Attribute>/g;
+  let match;
+  while ((match = pattern.exec(description)) !== null) {
+    const name = `philips.${match[1]}`;
+    if (properties[name] === undefined) {
+      properties[name] = decodeXml(match[2].trim()).replace(/^"(.*)"$/, '$1');
+    }
+  }
+
+  const spacing = (properties['philips.DICOM_PIXEL_SPACING'] || '').split(/"\s+"/)
+    .map(value => toNumber(value) && Number((value * 1000).toPrecision(MPP_PRECISION)));
+  // DICOM date-time: YYYYMMDDHHMMSS(.ffffff)
+  const dateTime = (properties['philips.DICOM_ACQUISITION_DATETIME'] || '')
+    .match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/);
+  return {
+    mppX: spacing[1] || spacing[0] || null,
+    mppY: spacing[0] || null,
+    objectivePower: toNumber(properties['philips.DICOM_OBJECTIVE_LENS_POWER']),
+    scannerModel: properties['philips.DICOM_MANUFACTURERS_MODEL_NAME'] || null,
+    scannerId: properties['philips.DICOM_DEVICE_SERIAL_NUMBER'] || null,
+    scanDate: dateTime
+      ? `${dateTime[1]}-${dateTime[2]}-${dateTime[3]}T${dateTime[4]}:${dateTime[5]}:${dateTime[6]}`
+      : null,
+    properties
+  };
+}
+
+/**
+ * Ventana: attributes of the <iScan> element in an XMLPacket
+ */
+function parseVentana(xml) {
+  const attributes = readAttributes(xml, 'iScan');
+  const properties = {};
+  Object.entries(attributes).forEach(([name, value]) => {
+    properties[`ventana.${name}`] = value;
+  });
+  const mpp = toNumber(attributes.ScanRes);
+  return {
+    mppX: mpp,
+    mppY: mpp,
+    objectivePower: toNumber(attributes.Magnification),
+    scannerModel: attributes.ScannerModel || null,
+    scannerId: attributes.UnitNumber || null,
+    properties
+  };
+}
+
+/**
+ * OME-XML: physical pixel size, objective and microscope of the first image
+ */
+function parseOme(description) {
+  const pixels = readAttributes(description, 'Pixels');
+  const objective = readAttributes(description, 'Objective');
+  const microscope = readAttributes(description, 'Microscope');
+  const properties = {};
+  [['Pixels', pixels], ['Objective', objective], ['Microscope', microscope]].forEach(([element, attributes]) => {
+    Object.entries(attributes).forEach(([name, value]) => {
+      properties[`ome.${element}.${name}`] = value;
+    });
+  });
+  properties['ome.AcquisitionDate'] = readElement(description, 'AcquisitionDate');
+
+  const physicalSize = (axis) => {
+    const size = toNumber(pixels[`PhysicalSize${axis}`]);
+    const unit = OME_UNITS[pixels[`PhysicalSize${axis}Unit`] || 'µm'];
+    return size && unit ? Number((size * unit).toPrecision(MPP_PRECISION)) : null;
+  };
+  return {
+    mppX: physicalSize('X'),
+    mppY: physicalSize('Y'),
+    objectivePower: toNumber(objective.NominalMagnification),
+    scannerModel: [microscope.Manufacturer, microscope.Model].filter(Boolean).join(' ') || null,
+    scanDate: properties['ome.AcquisitionDate'],
+    properties
+  };
+}
+
+/**
+ * Normalized fields from baseline TIFF tags (Make, Model, DateTime, resolution)
+ */
+function parseBaselineTags(tags) {
+  const properties = {};
+  if (tags.make) properties['tiff.Make'] = tags.make;
+  if (tags.model) properties['tiff.Model'] = tags.model;
+  if (tags.software) properties['tiff.Software'] = tags.software;
+  if (tags.dateTime) properties['tiff.DateTime'] = tags.dateTime;
+
+  // DateTime is "YYYY:MM:DD HH:MM:SS"
+  const dateTime = (tags.dateTime || '').match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/);
+  const centimeters = tags.resolutionUnit === RESOLUTION_UNIT_CM;
+  return {
+    mppX: centimeters && tags.xResolution ? Number((10000 / tags.xResolution).toPrecision(MPP_PRECISION)) : null,
+    mppY: centimeters && tags.yResolution ? Number((10000 / tags.yResolution).toPrecision(MPP_PRECISION)) : null,
+    scannerModel: [tags.make, tags.model].filter(Boolean).join(' ') || null,
+    scanDate: dateTime ? `${dateTime[1]}-${dateTime[2]}-${dateTime[3]}T${dateTime[4]}` : null,
+    properties
+  };
+}
+
+/**
+ * Extract and normalize the vendor metadata of an image
+ * @param {Array<Object>} directories - Directories from TiffReader.readDirectories() (empty for non-TIFF files)
+ * @returns {Object} vendor, mppX, mppY (µm per pixel), objectivePower, scannerModel,
+ *   scannerId, scanDate (ISO 8601) and the raw vendor properties; unknown fields are null
+ */
+function parseVendorMetadata(directories) {
+  const first = directories[0] || { description: '', tags: {} };
+  const description = first.description || '';
+  const ventanaPacket = directories
+    .map(directory => (directory.tags && directory.tags.xmlPacket) || '')
+    .find(xml => xml.includes('<iScan'));
+
+  let vendor = detectVendor(description);
+  let parsed = {};
+  if (vendor === 'Aperio') parsed = parseAperio(description);
+  else if (vendor === 'Leica') parsed = parseLeica(description);
+  else if (vendor === 'Philips') parsed = parsePhilips(description);
+  else if (vendor === 'OME') parsed = parseOme(description);
+  else if (vendor === 'Ventana' || ventanaPacket) {
+    vendor = 'Ventana';
+    parsed = parseVentana(ventanaPacket || description);
+  } else if (description) {
+    parsed = { properties: { 'tiff.ImageDescription': description } };
+  }
+
+  const baseline = parseBaselineTags(first.tags || {});
+  const pick = field => (parsed[field] !== undefined && parsed[field] !== null ? parsed[field] : baseline[field] || null);
+  return {
+    vendor,
+    mppX: pick('mppX'),
+    mppY: pick('mppY'),
+    objectivePower: pick('objectivePower'),
+    scannerModel: pick('scannerModel'),
+    scannerId: pick('scannerId'),
+    scanDate: pick('scanDate'),
+    properties: { ...baseline.properties, ...parsed.properties }
+  };
+}
+
+module.exports = {
+  parseVendorMetadata
+};
@@ -0,0 +1,152 @@
+const fs = require('fs').promises;
+const crc32 = require('./crc32');
+
+// Tiles are already compressed (JPEG, PNG, WebP, AVIF), so entries are stored
+const METHOD_STORED = 0;
+
+// General purpose flag: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+// Version needed to extract: 2.0 for plain entries, 4.5 for ZIP64
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+
+// Field values that point to the ZIP64 records instead
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+/**
+ * DOS date and time fields of a ZIP entry
+ * @param {Date} date - Modification time
+ * @returns {Object} time and date
+ */
+function toDosTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * ZipWriter streams files into a ZIP archive without holding the archive in
+ * memory. Entries are stored uncompressed; ZIP64 records are added when the
+ * archive passes 4 GB or 65,535 entries, which large DZI pyramids do.
+ */
+class ZipWriter {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.handle = null;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async open() {
+    this.handle = await fs.open(this.filePath, 'w');
+  }
+
+  async write(buffer) {
+    await this.handle.write(buffer, 0, buffer.length, this.offset);
+    this.offset += buffer.length;
+  }
+
+  /**
+   * Add one file
+   * @param {string} name - Path inside the archive ('/'-separated)
+   * @param {Buffer} data - File contents (under 4 GB)
+   * @param {Date} modified - Modification time
+   */
+  async addFile(name, data, modified = new Date()) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const entry = {
+      nameBytes,
+      crc: crc32(data),
+      size: data.length,
+      offset: this.offset,
+      ...toDosTime(modified)
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION_DEFAULT, 4);
+    header.writeUInt16LE(FLAG_UTF8, 6);
+    header.writeUInt16LE(METHOD_STORED, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.size, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    await this.write(Buffer.concat([header, nameBytes]));
+    await this.write(data);
+    this.entries.push(entry);
+  }
+
+  /**
+   * Write the central directory and close the file
+   */
+  async close() {
+    const directoryOffset = this.offset;
+    for (const entry of this.entries) {
+      // Entries past 4 GB keep their offset in a ZIP64 extra field
+      const zip64 = entry.offset > MAX_UINT32;
+      const extra = Buffer.alloc(zip64 ? 12 : 0);
+      if (zip64) {
+        extra.writeUInt16LE(0x0001, 0);
+        extra.writeUInt16LE(8, 2);
+        extra.writeBigUInt64LE(BigInt(entry.offset), 4);
+      }
+
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 4);
+      header.writeUInt16LE(zip64 ? VERSION_ZIP64 : VERSION_DEFAULT, 6);
+      header.writeUInt16LE(FLAG_UTF8, 8);
+      header.writeUInt16LE(METHOD_STORED, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.size, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBytes.length, 28);
+      header.writeUInt16LE(extra.length, 30);
+      header.writeUInt32LE(zip64 ? MAX_UINT32 : entry.offset, 42);
+      await this.write(Buffer.concat([header, entry.nameBytes, extra]));
+    }
+    const directorySize = this.offset - directoryOffset;
+
+    const needsZip64 = this.entries.length >= MAX_UINT16 || directoryOffset >= MAX_UINT32 || directorySize >= MAX_UINT32;
+    if (needsZip64) {
+      const recordOffset = this.offset;
+      const record = Buffer.alloc(56);
+      record.writeUInt32LE(0x06064b50, 0);
+      record.writeBigUInt64LE(44n, 4);
+      record.writeUInt16LE(VERSION_ZIP64, 12);
+      record.writeUInt16LE(VERSION_ZIP64, 14);
+      record.writeBigUInt64LE(BigInt(this.entries.length), 24);
+      record.writeBigUInt64LE(BigInt(this.entries.length), 32);
+      record.writeBigUInt64LE(BigInt(directorySize), 40);
+      record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+      const locator = Buffer.alloc(20);
+      locator.writeUInt32LE(0x07064b50, 0);
+      locator.writeBigUInt64LE(BigInt(recordOffset), 8);
+      locator.writeUInt32LE(1, 16);
+      await this.write(Buffer.concat([record, locator]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(this.entries.length, MAX_UINT16), 8);
+    end.writeUInt16LE(Math.min(this.entries.length, MAX_UINT16), 10);
+    end.writeUInt32LE(Math.min(directorySize, MAX_UINT32), 12);
+    end.writeUInt32LE(Math.min(directoryOffset, MAX_UINT32), 16);
+    await this.write(end);
+
+    await this.handle.close();
+    this.handle = null;
+  }
+}
+
+module.exports = ZipWriter;